@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { findRoute, RouteSearch } from '../web/core/bot.js';
+import { FLOOR_Y } from '../web/core/constants.js';
+import { runHeadless } from '../web/core/headless.js';
+
+function spike(x) {
+  return { type: 'spike', x, y: FLOOR_Y - 64, width: 64, height: 64 };
+}
+
+const TWO_SPIKES = { templates: [{ width: 1600, entities: [spike(600), spike(1000)] }], finite: true };
+// Twelve spikes in a row are far longer than a jump.
+const SPIKE_FIELD = { templates: [{ width: 1600, entities: Array.from({ length: 12 }, (_, index) => spike(600 + index * 64)) }], finite: true };
+
+describe('findRoute', () => {
+  it('finds a route over spikes that completes when replayed', () => {
+    const result = findRoute(TWO_SPIKES);
+    assert.equal(result.solved, true);
+    assert.equal(result.outcome, 'completed');
+    assert.equal(result.blockedX, null);
+    assert.equal(result.events.filter((event) => event.type === 'press').length, 2);
+    assert.equal(runHeadless({ ...TWO_SPIKES, events: result.events }).outcome, 'completed');
+  });
+
+  it('reports where and why a level cannot be passed', () => {
+    const result = findRoute(SPIKE_FIELD);
+    assert.equal(result.solved, false);
+    assert.equal(result.outcome, 'died');
+    assert.equal(result.blockedX, result.deathX);
+    assert.ok(result.blockedX > 600 && result.blockedX < 600 + 12 * 64);
+    assert.equal(result.blockedSegment, 0);
+    assert.equal(result.cause, 'spike');
+    assert.equal(result.hazard.segment, 0);
+  });
+
+  it('survives endless mode for the time asked', () => {
+    const result = findRoute({ seed: 3, maxTime: 4 });
+    assert.equal(result.solved, true);
+    assert.equal(result.outcome, 'timeout');
+    assert.equal(result.ticks, 4 * 120);
+    assert.equal(runHeadless({ seed: 3, maxTime: 4, events: result.events }).outcome, 'timeout');
+  });
+});
+
+describe('RouteSearch', () => {
+  it('finds the same route when advanced a few decisions at a time', () => {
+    const search = new RouteSearch(TWO_SPIKES);
+    let result = null;
+    let previousProgress = 0;
+    while (!result) {
+      result = search.advance(10);
+      assert.ok(search.progress >= previousProgress);
+      previousProgress = search.progress;
+    }
+    assert.equal(search.progress, 1);
+    assert.deepEqual(result, findRoute(TWO_SPIKES));
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+import { LEVEL_LIBRARY } from '../web/core/levels.js';
+import { Editor } from '../web/editor.js';
+
+/**
+ * Stands in for any DOM node: every property is another stand-in that can be
+ * called, so the editor panel can be built without a browser.
+ */
+function fakeNode() {
+  const values = {};
+  return new Proxy(function node() {}, {
+    get(target, key) {
+      if (key in values) {
+        return values[key];
+      }
+      if (typeof key === 'symbol' || key === 'then') {
+        return undefined;
+      }
+      if (key === 'toString' || key === 'valueOf') {
+        return () => '';
+      }
+      values[key] = fakeNode();
+      return values[key];
+    },
+    set(target, key, value) {
+      values[key] = value;
+      return true;
+    },
+    apply() {
+      return fakeNode();
+    },
+  });
+}
+
+function keyEvent(code, key = '') {
+  return { code, key, target: null, preventDefault() {} };
+}
+
+describe('Editor keys', () => {
+  let editor;
+  let playtests;
+
+  beforeEach(() => {
+    globalThis.document = fakeNode();
+    playtests = [];
+    editor = new Editor(fakeNode(), { onPlaytest: (definition, startX) => playtests.push(startX) });
+    editor.open(LEVEL_LIBRARY[0]);
+  });
+
+  it('starts a playtest on P and reports the key as used', () => {
+    assert.equal(editor.handleKey(keyEvent('KeyP', 'p')), true);
+    assert.equal(playtests.length, 1);
+  });
+
+  it('leaves keys it has no shortcut for to the game', () => {
+    assert.equal(editor.handleKey(keyEvent('KeyM', 'm')), false);
+    assert.equal(editor.handleKey(keyEvent('KeyV', 'v')), false);
+  });
+
+  it('picks tools with the number keys', () => {
+    assert.equal(editor.handleKey(keyEvent('Digit2', '2')), true);
+    assert.equal(editor.tool, 'platform');
+  });
+
+  it('ignores keys while closed or typing in a form field', () => {
+    assert.equal(editor.handleKey({ ...keyEvent('KeyP', 'p'), target: { closest: () => ({}) } }), false);
+    editor.close();
+    assert.equal(editor.handleKey(keyEvent('KeyP', 'p')), false);
+    assert.equal(playtests.length, 0);
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { findRoute } from '../web/core/bot.js';
+import { TICK_DURATION } from '../web/core/constants.js';
+import { SegmentGenerator } from '../web/core/generator.js';
+import { Level } from '../web/core/level.js';
+import { Player } from '../web/core/player.js';
+import { SEGMENT_LIBRARY } from '../web/core/segments.js';
+
+// Offsets where seed 7 places generated segments (the others are hand-made).
+const GENERATED_OFFSETS = [6600, 9740, 12340];
+
+function generatorFor(seed) {
+  const generator = new SegmentGenerator();
+  generator.reset(seed);
+  return generator;
+}
+
+/**
+ * An endless level that scrolls without a player colliding with it, so it
+ * can run far enough to recycle segments.
+ */
+function endlessLevel(seed) {
+  const generator = new SegmentGenerator();
+  const level = new Level(SEGMENT_LIBRARY, seed);
+  level.setTemplates(SEGMENT_LIBRARY, {}, { generator });
+  level.reset(seed);
+  return { level, generator };
+}
+
+/** Scrolls `level` to `x` and returns the template laid at each offset. */
+function scrollTo(level, x) {
+  const player = new Player();
+  const laid = new Map();
+  while (level.scrollX < x) {
+    level.update(TICK_DURATION, player);
+    for (const segment of level.activeSegments) {
+      laid.set(segment.offset, segment.template);
+    }
+  }
+  return laid;
+}
+
+describe('SegmentGenerator', () => {
+  it('builds the same segment for the same seed and offset', () => {
+    for (const offset of GENERATED_OFFSETS) {
+      assert.deepEqual(generatorFor(7).templateAt(offset), generatorFor(7).templateAt(offset));
+    }
+    assert.notDeepEqual(generatorFor(7).templateAt(GENERATED_OFFSETS[0]), generatorFor(8).templateAt(GENERATED_OFFSETS[0]));
+  });
+
+  it('labels generated segments with where they came from', () => {
+    const generator = generatorFor(7);
+    for (const offset of GENERATED_OFFSETS) {
+      const { generated } = generator.templateAt(offset);
+      assert.equal(generated.seed, 7);
+      assert.equal(generated.offset, offset);
+      assert.equal(generated.difficulty, generator.difficultyAt(offset));
+    }
+    assert.equal(generator.difficultyAt(0), 0);
+    assert.equal(generator.difficultyAt(20000), 0.5);
+    assert.equal(generator.difficultyAt(100000), 1);
+  });
+
+  it('only uses segments the bot can get through', () => {
+    const template = generatorFor(7).templateAt(GENERATED_OFFSETS[1]);
+    const result = findRoute({ templates: [{ width: 300, entities: [] }, template], finite: true });
+    assert.equal(result.solved, true);
+  });
+
+  it('builds a segment a slice at a time to the same result', () => {
+    const generator = generatorFor(7);
+    let slices = 0;
+    while (!generator.prepare(GENERATED_OFFSETS[2], 8)) {
+      slices += 1;
+    }
+    assert.ok(slices > 0);
+    assert.deepEqual(generator.cache.get(GENERATED_OFFSETS[2]), generatorFor(7).templateAt(GENERATED_OFFSETS[2]));
+  });
+
+  it('forgets segments the level has scrolled past', () => {
+    const generator = generatorFor(7);
+    const template = generator.templateAt(GENERATED_OFFSETS[0]);
+    generator.templateAt(GENERATED_OFFSETS[1]);
+    generator.discardBefore(GENERATED_OFFSETS[0] + template.width);
+    assert.equal(generator.cache.has(GENERATED_OFFSETS[0]), true);
+    generator.discardBefore(GENERATED_OFFSETS[0] + template.width + 1);
+    assert.deepEqual([...generator.cache.keys()], [GENERATED_OFFSETS[1]]);
+  });
+
+  it('rebuilds discarded segments after going back to a checkpoint', () => {
+    const { level, generator } = endlessLevel(7);
+    scrollTo(level, 3000);
+    const checkpoint = level.snapshot();
+    const first = scrollTo(level, 16000);
+    // The first two generated segments are behind the level by now.
+    for (const offset of GENERATED_OFFSETS.slice(0, 2)) {
+      assert.equal(generator.cache.has(offset), false);
+    }
+
+    level.restore(checkpoint);
+    const replayed = scrollTo(level, 16000);
+    assert.deepEqual([...replayed.keys()], [...first.keys()].filter((offset) => offset >= checkpoint.segments[0].offset));
+    for (const [offset, template] of replayed) {
+      assert.deepEqual(template, first.get(offset));
+    }
+    // Rebuilt rather than kept around.
+    assert.notEqual(replayed.get(GENERATED_OFFSETS[0]), first.get(GENERATED_OFFSETS[0]));
+  });
+});
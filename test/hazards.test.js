@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { FLOOR_Y, PLAYER_SIZE } from '../web/core/constants.js';
+import { ScriptedInput } from '../web/core/input.js';
+import { Simulation } from '../web/core/simulation.js';
+
+function simulate(entities) {
+  const templates = [{ width: 3000, entities }];
+  const simulation = new Simulation(templates);
+  simulation.level.setTemplates(templates, {}, { finite: true });
+  simulation.reset();
+  return simulation;
+}
+
+/** Steps until `ticks` or the player dies and returns every event emitted. */
+function run(simulation, ticks, onTick = () => {}) {
+  const input = new ScriptedInput();
+  const events = [];
+  while (simulation.tick < ticks && simulation.player.isAlive) {
+    simulation.step(input);
+    events.push(...simulation.events);
+    onTick(simulation.player);
+  }
+  return events;
+}
+
+function saw(y) {
+  return { type: 'saw', x: 800, y, radius: 48 };
+}
+
+function slope(x, direction) {
+  return { type: 'slope', x, y: FLOOR_Y - 80, width: 160, height: 80, properties: { direction } };
+}
+
+describe('saws', () => {
+  it('kill a player who runs into them', () => {
+    const simulation = simulate([saw(FLOOR_Y - 32)]);
+    const events = run(simulation, 400);
+    assert.equal(simulation.player.isAlive, false);
+    assert.deepEqual(events, [{ type: 'death', cause: 'saw', hazard: { segment: 0, entity: 0, x: 800, y: FLOOR_Y - 32 } }]);
+  });
+
+  it('forgive the tips of their teeth', () => {
+    // The teeth reach 4 units into the player; the hitbox stops short of it.
+    const playerTop = FLOOR_Y - PLAYER_SIZE;
+    const simulation = simulate([saw(playerTop - 44)]);
+    assert.deepEqual(run(simulation, 400), []);
+    assert.equal(simulation.player.isAlive, true);
+  });
+
+  it('still kill a player who reaches inside the hitbox', () => {
+    const simulation = simulate([saw(FLOOR_Y - PLAYER_SIZE - 30)]);
+    run(simulation, 400);
+    assert.equal(simulation.player.isAlive, false);
+  });
+});
+
+describe('slopes', () => {
+  it('carry the player up and back down without leaving the ground', () => {
+    const simulation = simulate([
+      slope(600, 'up'),
+      { type: 'platform', x: 760, y: FLOOR_Y - 80, width: 400, height: 32 },
+      slope(1160, 'down'),
+    ]);
+    const heights = [];
+    const angles = new Set();
+    const events = run(simulation, 400, (player) => {
+      assert.equal(player.isGrounded, true);
+      heights.push(player.getBounds().bottom);
+      angles.add(Math.sign(player.surfaceAngle));
+    });
+    assert.deepEqual(events, []);
+    assert.equal(simulation.player.isAlive, true);
+
+    const top = heights.indexOf(FLOOR_Y - 80);
+    const bottom = heights.lastIndexOf(FLOOR_Y - 80);
+    assert.ok(top > 0 && bottom > top);
+    for (let index = 1; index <= top; index += 1) {
+      assert.ok(heights[index] <= heights[index - 1], 'climbs the whole way up');
+    }
+    for (let index = bottom + 1; index < heights.length; index += 1) {
+      assert.ok(heights[index] >= heights[index - 1], 'follows the slope down');
+    }
+    assert.equal(heights.at(-1), FLOOR_Y);
+    // Tilted back going up, forward going down, and level in between.
+    assert.deepEqual([...angles].sort((a, b) => a - b), [-1, 0, 1]);
+  });
+
+  it('kill a player who runs into their tall end', () => {
+    const simulation = simulate([slope(600, 'down')]);
+    const events = run(simulation, 400);
+    assert.equal(simulation.player.isAlive, false);
+    assert.deepEqual(events, [{ type: 'death', cause: 'slope', hazard: { segment: 0, entity: 0, x: 600, y: FLOOR_Y - 80 } }]);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { runHeadless } from '../web/core/headless.js';
+import { levelToTemplates } from '../web/core/level-format.js';
+import { LEVEL_LIBRARY } from '../web/core/levels.js';
+
+// Each fixture is a jump timeline that completes the level, recorded from the
+// solvability bot. A physics change that moves a jump arc or a hitbox shows
+// up as a different outcome, distance or tick count.
+const CASES = [
+  {
+    name: 'First Flight',
+    timeline: 'first-flight',
+    idle: { deathX: 869, distance: 61.2, ticks: 204 },
+    firstHalf: { deathX: 3791, distance: 353.4, ticks: 1178 },
+    completed: { distance: 614.5, ticks: 2005 },
+  },
+  {
+    name: 'Upside Down',
+    timeline: 'upside-down',
+    idle: { deathX: 770, distance: 51.3, ticks: 171 },
+    firstHalf: { deathX: 4070, distance: 381.3, ticks: 1271 },
+    completed: { distance: 694.5, ticks: 2315 },
+  },
+  {
+    name: 'Shapeshifter',
+    timeline: 'shapeshifter',
+    idle: { deathX: 671, distance: 41.4, ticks: 138 },
+    firstHalf: { deathX: 3674, distance: 341.7, ticks: 1139 },
+    completed: { distance: 774.3, ticks: 2581 },
+  },
+];
+
+// Timeline events before this tick make up the first half of a route.
+const HALF_ROUTE_TICK = 1000;
+
+function readTimeline(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.timeline.json`, import.meta.url), 'utf8'));
+}
+
+function playLevel(name, events) {
+  const level = LEVEL_LIBRARY.find((definition) => definition.metadata.name === name);
+  return runHeadless({ templates: levelToTemplates(level), finite: true, events });
+}
+
+function assertDeath(result, expected) {
+  assert.equal(result.outcome, 'died');
+  assert.equal(Math.round(result.deathX), expected.deathX);
+  assert.equal(Math.round(result.distance * 10) / 10, expected.distance);
+  assert.equal(result.ticks, expected.ticks);
+}
+
+for (const { name, timeline, idle, firstHalf, completed } of CASES) {
+  describe(name, () => {
+    it('kills a player who never jumps at the first hazard', () => {
+      assertDeath(playLevel(name, []), idle);
+    });
+
+    it('kills a player who stops jumping halfway through the route', () => {
+      const events = readTimeline(timeline).filter((event) => event.tick < HALF_ROUTE_TICK);
+      assertDeath(playLevel(name, events), firstHalf);
+    });
+
+    it('completes the level with the recorded route', () => {
+      const result = playLevel(name, readTimeline(timeline));
+      assert.equal(result.outcome, 'completed');
+      assert.equal(result.progress, 1);
+      assert.equal(Math.round(result.distance * 10) / 10, completed.distance);
+      assert.equal(result.ticks, completed.ticks);
+    });
+  });
+}
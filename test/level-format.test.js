@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LEVEL_LIBRARY } from '../web/core/levels.js';
+import { LevelValidationError, parseLevel, serializeLevel, validateLevel } from '../web/core/level-format.js';
+
+function level(overrides = {}) {
+  return {
+    version: 1,
+    length: 2000,
+    entities: [{ type: 'spike', x: 540, y: 536, width: 64, height: 64, orientation: 'up' }],
+    ...overrides,
+  };
+}
+
+function withEntity(entity) {
+  return level({ entities: [{ x: 540, y: 536, width: 64, height: 64, ...entity }] });
+}
+
+/** Checks that `source` is rejected with a single error matching `expected`. */
+function assertRejected(source, expected) {
+  assert.throws(
+    () => parseLevel(source),
+    (error) => {
+      assert.ok(error instanceof LevelValidationError);
+      assert.equal(error.errors.length, 1);
+      if (expected instanceof RegExp) {
+        assert.match(error.errors[0], expected);
+      } else {
+        assert.equal(error.errors[0], expected);
+      }
+      return true;
+    }
+  );
+}
+
+describe('parseLevel', () => {
+  it('accepts every built-in level and keeps it through a save', () => {
+    for (const definition of LEVEL_LIBRARY) {
+      assert.deepEqual(validateLevel(definition), []);
+      assert.deepEqual(parseLevel(serializeLevel(definition)), parseLevel(definition));
+    }
+  });
+
+  it('fills in the metadata and colors a file leaves out', () => {
+    const parsed = parseLevel(level());
+    assert.equal(parsed.metadata.name, 'Untitled level');
+    assert.deepEqual(parsed.colors, {});
+    assert.deepEqual(parsed.entities[0].properties, {});
+  });
+
+  it('places entities given by beat on the song', () => {
+    const parsed = parseLevel(level({ music: { bpm: 120 }, entities: [{ type: 'spike', beat: 4, y: 536, width: 64, height: 64 }] }));
+    // 4 beats at 120 BPM take 2 seconds, 720 units past the spawn point.
+    assert.equal(parsed.entities[0].x, 260 + 720);
+    assert.equal(parsed.entities[0].beat, undefined);
+  });
+
+  it('rejects text that is not JSON', () => {
+    assertRejected('{ "version": 1,', /^file is not valid JSON: /);
+  });
+
+  it('rejects a JSON root that is not an object', () => {
+    assertRejected('[]', 'level must be a JSON object');
+    assertRejected('null', 'level must be a JSON object');
+  });
+
+  it('rejects another format version', () => {
+    assertRejected(level({ version: 2 }), '"version" must be 1 (got 2)');
+  });
+
+  it('rejects a length that ends at or before the spawn point', () => {
+    const expected = '"length" must be a number greater than 260, where the player spawns';
+    assertRejected(level({ length: 260 }), expected);
+    assertRejected(level({ length: -5 }), expected);
+    assertRejected(level({ length: '2000' }), expected);
+    assert.deepEqual(validateLevel(level({ length: 261 })), []);
+  });
+
+  it('rejects unknown and malformed level colors', () => {
+    assertRejected(level({ colors: { sky: '#000000' } }), /^colors\.sky is not a known color \(expected one of background, /);
+    assertRejected(level({ colors: { background: 'navy' } }), 'colors.background must be a hex color such as "#182238"');
+  });
+
+  it('lists every problem at once', () => {
+    assert.throws(() => parseLevel({ version: 1, length: 0 }), (error) => {
+      assert.equal(error.errors.length, 2);
+      assert.match(error.message, /^Invalid level file:\n- "length" must be .*\n- "entities" must be an array$/);
+      return true;
+    });
+  });
+});
+
+describe('validateEntity', () => {
+  it('rejects an entity that is not an object', () => {
+    assertRejected(level({ entities: ['spike'] }), 'entities[0] (entity): must be an object');
+  });
+
+  it('rejects an unknown type', () => {
+    assertRejected(withEntity({ type: 'lava' }), /^entities\[0\] \(lava at x=540\): unknown type "lava" \(expected one of platform, spike, /);
+  });
+
+  it('rejects missing positions and sizes', () => {
+    assertRejected(withEntity({ type: 'spike', x: undefined }), 'entities[0] (spike): "x" (or "beat") must be a number');
+    assertRejected(withEntity({ type: 'spike', x: 540, beat: 2 }), 'entities[0] (spike at x=540): give either "x" or "beat", not both');
+    assertRejected(withEntity({ type: 'spike', height: 0 }), 'entities[0] (spike at x=540): "height" must be a positive number');
+    assertRejected(withEntity({ type: 'saw' }), 'entities[0] (saw at x=540): "radius" must be a positive number');
+  });
+
+  it('rejects an orientation the type does not have', () => {
+    assertRejected(withEntity({ type: 'spike', orientation: 'left' }), 'entities[0] (spike at x=540): "orientation" must be one of "up", "down"');
+    assertRejected(withEntity({ type: 'platform', orientation: 'up' }), 'entities[0] (platform at x=540): "orientation" is not supported for platform');
+  });
+
+  it('rejects group lists that are not positive whole numbers', () => {
+    assertRejected(withEntity({ type: 'platform', groups: [1, 0] }), 'entities[0] (platform at x=540): "groups" must be a list of positive whole numbers');
+  });
+
+  it('rejects properties that do not match their kind', () => {
+    const label = 'entities[0] (platform at x=540)';
+    assertRejected(withEntity({ type: 'platform', properties: { solid: true } }), `${label}: unknown property "solid"`);
+    assertRejected(withEntity({ type: 'platform', properties: { passThrough: 'yes' } }), `${label}: property "passThrough" must be true or false`);
+    assertRejected(withEntity({ type: 'booster', properties: { duration: '1' } }), 'entities[0] (booster at x=540): property "duration" must be a number');
+    assertRejected(withEntity({ type: 'orb', radius: 28, properties: { variant: 'red' } }), /^entities\[0\] \(orb at x=540\): property "variant" must be one of "yellow", /);
+    assertRejected(withEntity({ type: 'trigger', properties: { group: 1.5 } }), 'entities[0] (trigger at x=540): property "group" must be a positive whole number');
+    assertRejected(withEntity({ type: 'decoration', properties: { color: '#12345' } }), 'entities[0] (decoration at x=540): property "color" must be a hex color such as "#182238"');
+  });
+});
@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { FLOOR_Y, TICK_DURATION } from '../web/core/constants.js';
+import { ScriptedInput } from '../web/core/input.js';
+import { Player } from '../web/core/player.js';
+
+function idle() {
+  return new ScriptedInput();
+}
+
+function pressed() {
+  const input = new ScriptedInput([{ tick: 0, type: 'press' }]);
+  input.advanceTo(0);
+  return input;
+}
+
+function groundedPlayer() {
+  const player = new Player();
+  player.land(FLOOR_Y);
+  return player;
+}
+
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be ${expected}`);
+}
+
+// One tick the way `Simulation.step` runs it, without a level.
+function tick(player, input) {
+  player.update(TICK_DURATION, input);
+  player.postResolve();
+  input.finalizeTick();
+}
+
+describe('Player', () => {
+  it('jumps off the ground with its jump strength', () => {
+    const player = groundedPlayer();
+    tick(player, pressed());
+    assert.equal(player.velocity.y, -player.jumpStrength);
+    assert.equal(player.isGrounded, false);
+    assert.deepEqual(player.events, [{ type: 'jump' }]);
+  });
+
+  it('jumps lower while mini', () => {
+    const player = groundedPlayer();
+    player.setMini(true);
+    tick(player, pressed());
+    assert.equal(player.velocity.y, -player.jumpStrength * 0.8);
+  });
+
+  it('does not jump in mid-air once coyote time has passed', () => {
+    const player = new Player();
+    tick(player, pressed());
+    assert.equal(player.events.length, 0);
+    assert.ok(player.velocity.y > 0);
+  });
+
+  it('still jumps just after walking off a ledge', () => {
+    const player = groundedPlayer();
+    player.isGrounded = false;
+    tick(player, pressed());
+    assert.deepEqual(player.events, [{ type: 'jump' }]);
+  });
+
+  it('falls faster every tick up to its maximum fall speed', () => {
+    const player = new Player();
+    tick(player, idle());
+    assert.equal(player.velocity.y, player.gravity * TICK_DURATION);
+    for (let index = 0; index < 240; index += 1) {
+      tick(player, idle());
+    }
+    assert.equal(player.velocity.y, player.maxFallSpeed);
+  });
+
+  it('falls and jumps upwards when gravity is flipped', () => {
+    const player = new Player();
+    player.gravityDirection = -1;
+    tick(player, idle());
+    assert.ok(player.velocity.y < 0);
+    player.land(FLOOR_Y);
+    tick(player, pressed());
+    assert.equal(player.velocity.y, player.jumpStrength);
+  });
+
+  it('keeps the side facing gravity in place when it turns mini', () => {
+    const player = groundedPlayer();
+    player.setMini(true);
+    assertNear(player.getBounds().bottom, FLOOR_Y);
+    player.setMini(false);
+    assertNear(player.getBounds().bottom, FLOOR_Y);
+  });
+
+  describe('gamemodes', () => {
+    it('flies the ship up while jump is held and down when released', () => {
+      const player = new Player();
+      player.setGamemode('ship');
+      const input = pressed();
+      for (let index = 0; index < 120; index += 1) {
+        tick(player, input);
+      }
+      assert.equal(player.velocity.y, -player.shipMaxSpeed);
+      for (let index = 0; index < 120; index += 1) {
+        tick(player, idle());
+      }
+      assert.equal(player.velocity.y, player.shipMaxSpeed);
+    });
+
+    it('moves the wave at a fixed speed in either direction', () => {
+      const player = new Player();
+      player.setGamemode('wave');
+      tick(player, pressed());
+      assert.equal(player.velocity.y, -player.waveSpeed);
+      tick(player, idle());
+      assert.equal(player.velocity.y, player.waveSpeed);
+    });
+
+    it('lets the UFO jump in mid-air', () => {
+      const player = new Player();
+      player.setGamemode('ufo');
+      tick(player, pressed());
+      assert.equal(player.velocity.y, -player.ufoJumpStrength);
+      assert.deepEqual(player.events, [{ type: 'jump' }]);
+    });
+
+    it('rolls the ball over to the other side instead of jumping', () => {
+      const player = groundedPlayer();
+      player.setGamemode('ball');
+      player.land(FLOOR_Y);
+      tick(player, pressed());
+      assert.equal(player.gravityDirection, -1);
+      assert.equal(player.velocity.y, -player.ballFlipSpeed);
+    });
+
+    it('shrinks the hitbox to the mode', () => {
+      const player = new Player();
+      player.setGamemode('wave');
+      assert.equal(player.hitboxWidth, player.size * 0.4);
+      assert.equal(player.hitboxHeight, player.size * 0.4);
+      assert.equal(player.isBoundedByCeiling, true);
+    });
+  });
+
+  it('restores a snapshot exactly', () => {
+    const player = groundedPlayer();
+    player.setGamemode('ship');
+    player.setMini(true);
+    player.applyBoost({ multiplier: 1.4, duration: 1, gravityScale: 0.5 });
+    const input = pressed();
+    for (let index = 0; index < 30; index += 1) {
+      tick(player, input);
+    }
+    const snapshot = player.snapshot();
+
+    const restored = new Player();
+    restored.restore(snapshot);
+    assert.deepEqual(restored.snapshot(), snapshot);
+    assert.equal(restored.size, player.size);
+
+    for (let index = 0; index < 30; index += 1) {
+      tick(player, input);
+      tick(restored, input);
+    }
+    assert.deepEqual(restored.snapshot(), player.snapshot());
+  });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { runHeadless } from '../web/core/headless.js';
+import { levelToTemplates } from '../web/core/level-format.js';
+import { LEVEL_LIBRARY } from '../web/core/levels.js';
+import { Profile } from '../web/core/profile.js';
+import { levelCoins } from '../web/core/score.js';
+
+const FIRST_FLIGHT = LEVEL_LIBRARY[0];
+
+describe('coins', () => {
+  it('keeps their keys when other entities are added or reordered', () => {
+    const edited = {
+      ...FIRST_FLIGHT,
+      entities: [{ type: 'spike', x: 400, y: 536, width: 64, height: 64 }, ...FIRST_FLIGHT.entities].reverse(),
+    };
+    assert.deepEqual(levelCoins(edited), levelCoins(FIRST_FLIGHT));
+  });
+
+  it('reports collected coins by the same keys the level lists', () => {
+    const coin = { type: 'coin', x: 500, y: 568, radius: 24 };
+    const level = { ...FIRST_FLIGHT, entities: [coin, ...FIRST_FLIGHT.entities] };
+    const result = runHeadless({ templates: levelToTemplates(level), finite: true, maxTime: 2 });
+    assert.deepEqual(result.coins, ['500,568']);
+    assert.ok(levelCoins(level).includes(result.coins[0]));
+  });
+
+  it('are only saved to the profile by completed runs', () => {
+    const profile = new Profile();
+    const run = { distance: 100, progress: 0.5, time: 10, score: 1000 };
+    profile.recordRun('level', 'Level', { ...run, completed: false, coins: ['1,2'] });
+    assert.deepEqual(profile.levels.level.coins, []);
+    profile.recordRun('level', 'Level', { ...run, completed: true, coins: ['1,2', '3,4'] });
+    profile.recordRun('level', 'Level', { ...run, completed: true, coins: ['3,4'] });
+    assert.deepEqual(profile.levels.level.coins, ['1,2', '3,4']);
+  });
+});
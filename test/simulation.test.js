@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { CEILING_Y, FLOOR_Y, SCROLL_SPEED, SIMULATION_TICK_RATE } from '../web/core/constants.js';
+import { ScriptedInput } from '../web/core/input.js';
+import { levelToTemplates } from '../web/core/level-format.js';
+import { LEVEL_LIBRARY } from '../web/core/levels.js';
+import { Simulation } from '../web/core/simulation.js';
+
+const TAP = [
+  { tick: 0, type: 'press' },
+  { tick: 1, type: 'release' },
+];
+
+function finiteSimulation(templates) {
+  const simulation = new Simulation(templates);
+  simulation.level.setTemplates(templates, {}, { finite: true });
+  simulation.reset();
+  return simulation;
+}
+
+function simulate(entities) {
+  return finiteSimulation([{ width: 3000, entities }]);
+}
+
+/** Steps until `ticks` or the player dies, and returns every event emitted. */
+function run(simulation, input, ticks) {
+  const events = [];
+  while (simulation.tick < ticks && simulation.player.isAlive) {
+    input.advanceTo(simulation.tick);
+    simulation.step(input);
+    events.push(...simulation.events);
+  }
+  return events;
+}
+
+describe('Simulation', () => {
+  it('runs along the floor at the scroll speed', () => {
+    const simulation = simulate([]);
+    run(simulation, new ScriptedInput(), SIMULATION_TICK_RATE);
+    assert.equal(simulation.player.isAlive, true);
+    assert.equal(simulation.player.isGrounded, true);
+    assert.equal(simulation.player.getBounds().bottom, FLOOR_Y);
+    assert.ok(Math.abs(simulation.distance - SCROLL_SPEED / 10) < 1e-6);
+  });
+
+  it('jumps and lands back on the floor', () => {
+    const simulation = simulate([]);
+    const events = run(simulation, new ScriptedInput(TAP), 30);
+    assert.deepEqual(events, [{ type: 'jump' }]);
+    assert.ok(simulation.player.getBounds().bottom < FLOOR_Y - 100);
+    run(simulation, new ScriptedInput(), 2 * SIMULATION_TICK_RATE);
+    assert.equal(simulation.player.isGrounded, true);
+    assert.equal(simulation.player.getBounds().bottom, FLOOR_Y);
+  });
+
+  it('lands on a platform it jumps onto', () => {
+    const simulation = simulate([{ type: 'platform', x: 350, y: FLOOR_Y - 100, width: 600, height: 32 }]);
+    run(simulation, new ScriptedInput(TAP), 1.5 * SIMULATION_TICK_RATE);
+    assert.equal(simulation.player.isAlive, true);
+    assert.equal(simulation.player.isGrounded, true);
+    assert.equal(simulation.player.getBounds().bottom, FLOOR_Y - 100);
+  });
+
+  it('dies on a spike it runs into', () => {
+    const simulation = simulate([{ type: 'spike', x: 600, y: FLOOR_Y - 64, width: 64, height: 64 }]);
+    const events = run(simulation, new ScriptedInput(), 2 * SIMULATION_TICK_RATE);
+    assert.equal(simulation.player.isAlive, false);
+    assert.deepEqual(events, [{ type: 'death', cause: 'spike', hazard: { segment: 0, entity: 0, x: 600, y: FLOOR_Y - 64 } }]);
+  });
+
+  it('falls to the ceiling through a gravity portal', () => {
+    const simulation = simulate([{ type: 'portal', x: 500, y: FLOOR_Y - 200, width: 64, height: 200, properties: { gravity: -1 } }]);
+    const events = run(simulation, new ScriptedInput(), 2 * SIMULATION_TICK_RATE);
+    assert.deepEqual(events, [{ type: 'portal', kind: 'portal' }]);
+    assert.equal(simulation.player.gravityDirection, -1);
+    assert.equal(simulation.player.isGrounded, true);
+    assert.equal(simulation.player.getBounds().top, CEILING_Y);
+  });
+
+  it('switches gamemode through a gamemode portal', () => {
+    const simulation = simulate([{ type: 'gamemodePortal', x: 500, y: FLOOR_Y - 200, width: 64, height: 200, properties: { mode: 'ship' } }]);
+    run(simulation, new ScriptedInput([{ tick: 150, type: 'press' }]), 2 * SIMULATION_TICK_RATE);
+    assert.equal(simulation.player.gamemode, 'ship');
+    assert.equal(simulation.player.velocity.y, -simulation.player.shipMaxSpeed);
+  });
+
+  it('starts a run from a later x', () => {
+    const simulation = simulate([]);
+    simulation.reset(0, 1000);
+    assert.equal(simulation.player.position.x, 260);
+    assert.equal(simulation.level.scrollX, 1000 - simulation.player.anchorX);
+  });
+
+  it('replays the same ticks after restoring a checkpoint', () => {
+    const level = LEVEL_LIBRARY.find((definition) => definition.metadata.name === 'Shapeshifter');
+    const timeline = JSON.parse(readFileSync(new URL('./fixtures/shapeshifter.timeline.json', import.meta.url), 'utf8'));
+    const simulation = finiteSimulation(levelToTemplates(level));
+    const checkpointTick = 600;
+    const input = new ScriptedInput(timeline);
+    run(simulation, input, checkpointTick);
+    const checkpoint = simulation.createCheckpoint();
+    // Checkpoints do not hold input, so take one between presses.
+    assert.equal(input.isJumpHeld(), false);
+
+    run(simulation, input, checkpointTick + 400);
+    const first = simulation.createCheckpoint();
+
+    simulation.restoreCheckpoint(checkpoint);
+    const replay = new ScriptedInput(timeline.filter((event) => event.tick >= checkpointTick));
+    run(simulation, replay, checkpointTick + 400);
+    assert.equal(simulation.player.isAlive, true);
+    assert.deepEqual(simulation.createCheckpoint(), first);
+  });
+});
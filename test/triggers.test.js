@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { FLOOR_Y, SIMULATION_TICK_RATE } from '../web/core/constants.js';
+import { ScriptedInput } from '../web/core/input.js';
+import { Simulation } from '../web/core/simulation.js';
+import { EASINGS } from '../web/core/triggers.js';
+
+const TRIGGER_X = 600;
+const PLATFORM = { type: 'platform', x: 2000, y: 300, width: 200, height: 32, groups: [1] };
+
+function trigger(properties) {
+  return { type: 'trigger', x: TRIGGER_X, y: 300, width: 40, height: 40, properties: { group: 1, ...properties } };
+}
+
+function simulate(entities) {
+  const templates = [{ width: 4000, entities }];
+  const simulation = new Simulation(templates);
+  simulation.level.setTemplates(templates, {}, { finite: true });
+  simulation.reset();
+  return simulation;
+}
+
+function entityAt(simulation, index) {
+  return simulation.level.activeSegments[0].entities[index];
+}
+
+function step(simulation, ticks, input = new ScriptedInput()) {
+  for (let tick = 0; tick < ticks && simulation.player.isAlive; tick += 1) {
+    input.advanceTo(simulation.tick);
+    simulation.step(input);
+  }
+}
+
+/** Steps until the trigger (entity 0) fires, which starts its animation. */
+function stepUntilFired(simulation) {
+  while (!entityAt(simulation, 0).fired) {
+    step(simulation, 1);
+  }
+}
+
+describe('triggers', () => {
+  it('fire once the centre of the player passes their x', () => {
+    const simulation = simulate([trigger({ action: 'move', moveY: -120, duration: 1 }), PLATFORM]);
+    stepUntilFired(simulation);
+    assert.ok(simulation.player.position.x >= TRIGGER_X);
+    assert.ok(simulation.player.previousPosition.x < TRIGGER_X);
+  });
+
+  it('move their group by the full offset over the duration', () => {
+    const simulation = simulate([trigger({ action: 'move', moveX: 40, moveY: -120, duration: 1 }), PLATFORM]);
+    step(simulation, 60);
+    assert.equal(entityAt(simulation, 1).y, PLATFORM.y);
+    stepUntilFired(simulation);
+    step(simulation, SIMULATION_TICK_RATE + 10);
+    const platform = entityAt(simulation, 1);
+    assert.ok(Math.abs(platform.x - (PLATFORM.x + 40)) < 1e-9);
+    assert.ok(Math.abs(platform.y - (PLATFORM.y - 120)) < 1e-9);
+    assert.equal(simulation.level.activeSegments[0].animations.length, 0);
+  });
+
+  for (const easing of ['linear', 'easeIn', 'easeOut', 'easeInOut', 'bounce']) {
+    it(`ease moves with ${easing}`, () => {
+      const simulation = simulate([trigger({ action: 'move', moveY: -120, duration: 1, easing }), PLATFORM]);
+      stepUntilFired(simulation);
+      // The firing tick already advanced the animation by one tick.
+      step(simulation, SIMULATION_TICK_RATE / 4 - 1);
+      assert.ok(Math.abs(entityAt(simulation, 1).y - (PLATFORM.y - 120 * EASINGS[easing](0.25))) < 1e-9);
+    });
+  }
+
+  it('hide and show their group at once with toggles', () => {
+    const spike = { type: 'spike', x: 1200, y: FLOOR_Y - 64, width: 64, height: 64, groups: [1] };
+    const hide = simulate([trigger({ action: 'toggle', show: false }), spike]);
+    step(hide, 3 * SIMULATION_TICK_RATE);
+    assert.equal(entityAt(hide, 1).enabled, false);
+    assert.equal(hide.player.isAlive, true);
+
+    const show = simulate([trigger({ action: 'toggle', show: true }), { ...spike, x: 400 }]);
+    show.level.activeSegments[0].entities[1].enabled = false;
+    stepUntilFired(show);
+    assert.equal(entityAt(show, 1).enabled, true);
+  });
+
+  it('only act on their own group', () => {
+    const simulation = simulate([trigger({ action: 'move', moveY: -120, duration: 0 }), PLATFORM, { ...PLATFORM, groups: [2] }]);
+    stepUntilFired(simulation);
+    assert.equal(entityAt(simulation, 1).y, PLATFORM.y - 120);
+    assert.equal(entityAt(simulation, 2).y, PLATFORM.y);
+  });
+
+  it('fade their group without removing it', () => {
+    const simulation = simulate([trigger({ action: 'fade', opacity: 0.2, duration: 0.5 }), PLATFORM]);
+    stepUntilFired(simulation);
+    step(simulation, SIMULATION_TICK_RATE);
+    assert.ok(Math.abs(entityAt(simulation, 1).opacity - 0.2) < 1e-9);
+    assert.equal(entityAt(simulation, 1).enabled, true);
+  });
+
+  it('blend a color channel with color triggers', () => {
+    const simulation = simulate([trigger({ action: 'color', channel: 'background', color: '#ff0000', duration: 0.5 })]);
+    stepUntilFired(simulation);
+    step(simulation, SIMULATION_TICK_RATE);
+    assert.equal(simulation.level.colors.background, '#ff0000');
+  });
+
+  it('resume a running move from a checkpoint', () => {
+    const simulation = simulate([trigger({ action: 'move', moveY: -120, duration: 1, easing: 'easeInOut' }), PLATFORM]);
+    stepUntilFired(simulation);
+    step(simulation, 30);
+    const checkpoint = simulation.createCheckpoint();
+    step(simulation, 60);
+    const y = entityAt(simulation, 1).y;
+
+    simulation.restoreCheckpoint(checkpoint);
+    step(simulation, 60);
+    assert.equal(entityAt(simulation, 1).y, y);
+  });
+});
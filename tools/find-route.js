@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Lets the bot search for a way through a level and prints the result as JSON.
+//
+//   node tools/find-route.js [--level my-level.json] [--seed 42] [--max-time 60] [--out route.replay.json]
+//
+// Without `--level` the bot plays endless mode (the built-in SEGMENT_LIBRARY
+// mixed with generated segments) on `--seed` and has to survive `--max-time`
+// seconds. Level files are searched to their end. `--out` saves the route (or,
+// when there is none, the furthest attempt) as a replay that can be loaded in
+// the game. Modules a level file lists under `modules` are loaded relative to
+// the file.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { findRoute } from '../web/core/bot.js';
+import { loadEntityModules } from '../web/core/entities.js';
+import { SegmentGenerator } from '../web/core/generator.js';
+import { levelToTemplates, parseLevel } from '../web/core/level-format.js';
+import { normalizeSeed } from '../web/core/random.js';
+import { createReplay, serializeReplay } from '../web/core/replay.js';
+
+async function parseArgs(argv) {
+  const options = { level: null, out: null, search: {} };
+  for (let index = 0; index < argv.length; index += 1) {
+    const flag = argv[index];
+    const value = argv[index + 1];
+    switch (flag) {
+      case '--level': {
+        const data = JSON.parse(readFileSync(value, 'utf8'));
+        if (Array.isArray(data)) {
+          options.search.templates = data;
+        } else {
+          await loadEntityModules(data.modules ?? [], pathToFileURL(value));
+          options.level = parseLevel(data);
+          options.search.templates = levelToTemplates(options.level);
+          options.search.finite = true;
+        }
+        index += 1;
+        break;
+      }
+      case '--seed':
+        options.search.seed = normalizeSeed(value);
+        index += 1;
+        break;
+      case '--max-time':
+        options.search.maxTime = Number(value);
+        index += 1;
+        break;
+      case '--out':
+        options.out = value;
+        index += 1;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${flag}`);
+    }
+  }
+  if (!options.search.templates) {
+    options.search.generator = new SegmentGenerator();
+  }
+  if (options.out && options.search.templates && !options.level) {
+    throw new Error('--out needs a level file or the built-in segments; replays cannot store a plain template array');
+  }
+  return options;
+}
+
+const { level, out, search } = await parseArgs(process.argv.slice(2));
+const { events, ...result } = findRoute(search);
+if (out) {
+  const replay = createReplay({
+    level,
+    seed: result.seed,
+    events,
+    outcome: result.outcome === 'timeout' ? 'abandoned' : result.outcome,
+    ticks: result.ticks,
+  });
+  writeFileSync(out, serializeReplay(replay));
+}
+console.log(JSON.stringify({ ...result, jumps: events.filter((event) => event.type === 'press').length }, null, 2));
+process.exitCode = result.solved ? 0 : 1;
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Runs the game simulation under Node and prints the outcome as JSON.
+//
+//   node tools/run-headless.js [--level segments.json] [--inputs timeline.json] [--seed 42] [--max-time 60]
+//   node tools/run-headless.js --replay run.replay.json
+//
+// `--level` points at a level file in the JSON level format or a plain array
+// of segment templates (defaults to endless mode: the built-in SEGMENT_LIBRARY
+// mixed with generated segments). Level files are played once and stop at
+// their end; template arrays are endless. `--inputs` points at a JSON array of
+// `{ "tick": number, "type": "press" | "release" }` events. `--replay` plays a
+// replay saved from the game, using its level, seed, start position and inputs.
+// Modules a level lists under `modules` are loaded relative to its file.
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { SIMULATION_TICK_RATE } from '../web/core/constants.js';
+import { loadEntityModules } from '../web/core/entities.js';
+import { SegmentGenerator } from '../web/core/generator.js';
+import { runHeadless } from '../web/core/headless.js';
+import { levelToTemplates, parseLevel } from '../web/core/level-format.js';
+import { normalizeSeed } from '../web/core/random.js';
+import { parseReplay } from '../web/core/replay.js';
+
+async function parseArgs(argv) {
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const flag = argv[index];
+    const value = argv[index + 1];
+    switch (flag) {
+      case '--level': {
+        const data = JSON.parse(readFileSync(value, 'utf8'));
+        if (Array.isArray(data)) {
+          options.templates = data;
+        } else {
+          await loadEntityModules(data.modules ?? [], pathToFileURL(value));
+          options.templates = levelToTemplates(parseLevel(data));
+          options.finite = true;
+        }
+        index += 1;
+        break;
+      }
+      case '--replay': {
+        const data = JSON.parse(readFileSync(value, 'utf8'));
+        await loadEntityModules(data.level?.modules ?? [], pathToFileURL(value));
+        const replay = parseReplay(data);
+        if (replay.level) {
+          options.templates = levelToTemplates(replay.level);
+          options.finite = true;
+        } else {
+          options.generator = new SegmentGenerator();
+        }
+        options.seed = replay.seed;
+        options.startX = replay.startX;
+        options.events = replay.events;
+        options.maxTime ??= (replay.ticks + 1) / SIMULATION_TICK_RATE;
+        index += 1;
+        break;
+      }
+      case '--inputs':
+        options.events = JSON.parse(readFileSync(value, 'utf8'));
+        index += 1;
+        break;
+      case '--seed':
+        options.seed = normalizeSeed(value);
+        index += 1;
+        break;
+      case '--max-time':
+        options.maxTime = Number(value);
+        index += 1;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${flag}`);
+    }
+  }
+  if (!options.templates && !options.generator) {
+    options.generator = new SegmentGenerator();
+  }
+  return options;
+}
+
+const result = runHeadless(await parseArgs(process.argv.slice(2)));
+console.log(JSON.stringify(result, null, 2));
@@ -0,0 +1,25 @@
+import { ANALYTICS_FORMAT_VERSION, DeathAnalytics } from './core/analytics.js';
+import { saveToStorage } from './storage.js';
+
+const STORAGE_PREFIX = 'my-own-geometry-dash:deaths:';
+
+/**
+ * Returns the recorded deaths for a level (keyed like profile stats: the
+ * level's ghost key, or `'endless'`), or an empty history when nothing
+ * readable is stored.
+ */
+export function loadAnalytics(key) {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+    if (data?.version === ANALYTICS_FORMAT_VERSION && Array.isArray(data.deaths)) {
+      return new DeathAnalytics(data);
+    }
+  } catch {
+    // Fall through to an empty history.
+  }
+  return new DeathAnalytics();
+}
+
+export function saveAnalytics(key, analytics) {
+  saveToStorage(() => localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(analytics)));
+}
@@ -0,0 +1,71 @@
+import { saveAudioSettings } from './audio-store.js';
+
+const CHANNELS = [
+  ['master', 'Master'],
+  ['music', 'Music'],
+  ['sfx', 'Effects'],
+];
+
+/**
+ * Panel with a volume slider per mixer channel and a mute switch. Changes
+ * apply to the engine immediately and are saved for the next visit.
+ */
+export class AudioMixer {
+  constructor(audio) {
+    this.audio = audio;
+    this.root = this.#createPanel();
+  }
+
+  get isOpen() {
+    return !this.root.hidden;
+  }
+
+  toggle() {
+    this.root.hidden = !this.root.hidden;
+  }
+
+  #save() {
+    saveAudioSettings({ ...this.audio.volumes, muted: this.audio.muted });
+  }
+
+  #createPanel() {
+    const root = document.createElement('aside');
+    root.id = 'audioMixer';
+    root.hidden = true;
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Sound';
+    root.append(heading);
+
+    for (const [channel, text] of CHANNELS) {
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = '0';
+      input.max = '100';
+      input.value = String(Math.round(this.audio.volumes[channel] * 100));
+      input.addEventListener('input', () => this.audio.setVolume(channel, Number(input.value) / 100));
+      input.addEventListener('change', () => this.#save());
+      root.append(this.#label(text, input));
+    }
+
+    const mute = document.createElement('input');
+    mute.type = 'checkbox';
+    mute.checked = this.audio.muted;
+    mute.addEventListener('change', () => {
+      this.audio.setMuted(mute.checked);
+      this.#save();
+    });
+    root.append(this.#label('Mute', mute));
+
+    document.body.append(root);
+    return root;
+  }
+
+  #label(text, control) {
+    const label = document.createElement('label');
+    const caption = document.createElement('span');
+    caption.textContent = text;
+    label.append(caption, control);
+    return label;
+  }
+}
@@ -0,0 +1,29 @@
+import { saveToStorage } from './storage.js';
+
+const STORAGE_KEY = 'my-own-geometry-dash:audio';
+
+export const DEFAULT_AUDIO_SETTINGS = { master: 0.8, music: 0.5, sfx: 0.8, muted: false };
+
+/**
+ * Reads the saved mixer settings, falling back to the defaults for anything
+ * missing or unreadable.
+ */
+export function loadAudioSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}');
+    const settings = { ...DEFAULT_AUDIO_SETTINGS };
+    for (const channel of ['master', 'music', 'sfx']) {
+      if (Number.isFinite(stored[channel])) {
+        settings[channel] = Math.min(1, Math.max(0, stored[channel]));
+      }
+    }
+    settings.muted = stored.muted === true;
+    return settings;
+  } catch {
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+}
+
+export function saveAudioSettings(settings) {
+  saveToStorage(() => localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)));
+}
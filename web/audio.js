@@ -0,0 +1,331 @@
+// Everything is synthesized with oscillators and a generated noise buffer, so
+// the game never fetches an audio file.
+
+import { DEFAULT_BPM } from './core/timing.js';
+
+const STEPS_PER_BEAT = 4;
+const STEPS_PER_BAR = 16;
+// How far ahead (seconds) music notes are queued, and how often the queue is
+// topped up (milliseconds). Scheduling ahead keeps the beat steady when a
+// frame runs long.
+const SCHEDULE_AHEAD = 0.12;
+const SCHEDULER_INTERVAL = 25;
+// Time constant (seconds) for volume changes, to avoid clicks.
+const VOLUME_SMOOTHING = 0.03;
+// How far (seconds) the track may drift from the run before it is re-seeked.
+const SYNC_TOLERANCE = 0.06;
+
+// A minor progression, one chord per bar: Am, F, C, G as MIDI note numbers.
+const PROGRESSION = [
+  [57, 60, 64],
+  [53, 57, 60],
+  [48, 52, 55],
+  [55, 59, 62],
+];
+// Order the arpeggio walks through the chord tones (3 and up repeat an octave higher).
+const ARPEGGIO = [0, 1, 2, 3, 1, 2, 4, 2, 0, 2, 1, 3, 2, 4, 3, 1];
+const BASS_RHYTHM = [1, 0, 1, 0, 1, 0, 1, 1, 1, 0, 1, 0, 1, 0, 1, 0];
+
+const ORB_PITCHES = { yellow: 880, blue: 660, green: 990, black: 330, dash: 1320 };
+const PAD_PITCHES = { pink: 520, yellow: 620, red: 740 };
+const PORTAL_PITCHES = { portal: 300, gamemodePortal: 360, speedPortal: 420, sizePortal: 480, mirrorPortal: 540 };
+
+function midiToFrequency(note) {
+  return 440 * 2 ** ((note - 69) / 12);
+}
+
+/**
+ * Web Audio output for the game: a looping synthesized track and one-shot
+ * sound effects for simulation events, mixed through master, music and SFX
+ * gains. Browsers only allow audio after a user gesture, so nothing is
+ * created until `unlock` is called from one.
+ */
+export class AudioEngine {
+  constructor({ master = 0.8, music = 0.5, sfx = 0.8, muted = false } = {}) {
+    this.volumes = { master, music, sfx };
+    this.muted = muted;
+    this.backgrounded = false;
+    this.context = null;
+    this.musicPlaying = false;
+    this.metronome = false;
+    this.bpm = DEFAULT_BPM;
+    this.schedulerTimer = 0;
+    // Context time at which the song is at 0 seconds, and the next step to queue.
+    this.songStart = 0;
+    this.step = 0;
+  }
+
+  get stepDuration() {
+    return 60 / this.bpm / STEPS_PER_BEAT;
+  }
+
+  /**
+   * Where the track currently is, in seconds from its start.
+   */
+  get musicTime() {
+    return this.context ? this.context.currentTime - this.songStart : 0;
+  }
+
+  setTempo(bpm = DEFAULT_BPM) {
+    if (bpm === this.bpm) {
+      return;
+    }
+    const time = this.musicTime;
+    this.bpm = bpm;
+    this.seekMusic(time);
+  }
+
+  /**
+   * Moves the track to `time` seconds from its start, e.g. to where a level's
+   * song should be when an attempt starts or resumes from a checkpoint.
+   */
+  seekMusic(time) {
+    if (!this.context) {
+      return;
+    }
+    this.songStart = this.context.currentTime - time;
+    this.step = Math.ceil(time / this.stepDuration);
+  }
+
+  /**
+   * Re-seeks only when the track has drifted from `time`, e.g. after the game
+   * stalled or the tab was in the background.
+   */
+  syncMusic(time) {
+    if (this.schedulerTimer && Math.abs(this.musicTime - time) > SYNC_TOLERANCE) {
+      this.seekMusic(time);
+    }
+  }
+
+  unlock() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+      if (!AudioContextClass) {
+        return;
+      }
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.musicGain = this.context.createGain();
+      this.sfxGain = this.context.createGain();
+      this.musicGain.connect(this.masterGain);
+      this.sfxGain.connect(this.masterGain);
+      this.masterGain.connect(this.context.destination);
+      this.noise = this.#createNoiseBuffer();
+      this.#applyVolumes();
+    }
+    if (this.context.state === 'suspended' && !this.backgrounded) {
+      this.context.resume();
+    }
+    if (this.musicPlaying) {
+      this.#startScheduler();
+    }
+  }
+
+  setVolume(channel, value) {
+    this.volumes[channel] = Math.min(1, Math.max(0, value));
+    this.#applyVolumes();
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    this.#applyVolumes();
+  }
+
+  /**
+   * Silences everything while the tab is hidden or the window loses focus,
+   * and suspends the context so no time is spent rendering audio.
+   */
+  setBackgrounded(backgrounded) {
+    this.backgrounded = backgrounded;
+    this.#applyVolumes();
+    if (!this.context) {
+      return;
+    }
+    if (backgrounded) {
+      this.context.suspend();
+    } else {
+      this.context.resume();
+    }
+  }
+
+  #applyVolumes() {
+    if (!this.context) {
+      return;
+    }
+    const now = this.context.currentTime;
+    const master = this.muted || this.backgrounded ? 0 : this.volumes.master;
+    this.masterGain.gain.setTargetAtTime(master, now, VOLUME_SMOOTHING);
+    this.musicGain.gain.setTargetAtTime(this.volumes.music, now, VOLUME_SMOOTHING);
+    this.sfxGain.gain.setTargetAtTime(this.volumes.sfx, now, VOLUME_SMOOTHING);
+  }
+
+  setMusicPlaying(playing) {
+    if (playing === this.musicPlaying) {
+      return;
+    }
+    this.musicPlaying = playing;
+    if (playing) {
+      this.#startScheduler();
+    } else {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = 0;
+    }
+  }
+
+  /**
+   * Plays the sound for each event a simulation tick emitted (see
+   * `Simulation#events`).
+   */
+  playEvents(events) {
+    for (const event of events) {
+      this.play(event.type, event);
+    }
+  }
+
+  play(type, detail = {}) {
+    if (!this.context || this.context.state !== 'running') {
+      return;
+    }
+    const time = this.context.currentTime;
+    switch (type) {
+      case 'jump':
+        this.#tone({ type: 'square', from: 330, to: 660, duration: 0.09, volume: 0.18, time });
+        break;
+      case 'orb': {
+        const pitch = ORB_PITCHES[detail.variant] ?? ORB_PITCHES.yellow;
+        this.#tone({ type: 'sine', from: pitch, to: pitch, duration: 0.25, volume: 0.3, time });
+        this.#tone({ type: 'triangle', from: pitch * 1.5, to: pitch * 1.5, duration: 0.18, volume: 0.12, time: time + 0.03 });
+        break;
+      }
+      case 'pad': {
+        const pitch = PAD_PITCHES[detail.variant] ?? PAD_PITCHES.yellow;
+        this.#tone({ type: 'triangle', from: pitch / 2, to: pitch, duration: 0.16, volume: 0.28, time });
+        break;
+      }
+      case 'boost':
+        this.#noiseBurst({ from: 400, to: 4000, duration: 0.35, volume: 0.25, time });
+        this.#tone({ type: 'sawtooth', from: 220, to: 880, duration: 0.3, volume: 0.08, time });
+        break;
+      case 'portal': {
+        const pitch = PORTAL_PITCHES[detail.kind] ?? PORTAL_PITCHES.portal;
+        [1, 1.25, 1.5].forEach((ratio, index) => {
+          this.#tone({ type: 'sine', from: pitch * ratio, to: pitch * ratio * 2, duration: 0.3, volume: 0.12, time: time + index * 0.04 });
+        });
+        break;
+      }
+      case 'coin':
+        [988, 1319].forEach((pitch, index) => {
+          this.#tone({ type: 'square', from: pitch, to: pitch, duration: 0.12, volume: 0.12, time: time + index * 0.08 });
+        });
+        break;
+      case 'death':
+        this.#noiseBurst({ from: 3000, to: 200, duration: 0.45, volume: 0.45, time });
+        this.#tone({ type: 'sawtooth', from: 220, to: 40, duration: 0.5, volume: 0.25, time });
+        break;
+      default:
+        break;
+    }
+  }
+
+  #tone({ type, from, to, duration, volume, time, destination = this.sfxGain }) {
+    const oscillator = this.context.createOscillator();
+    const gain = this.context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(from, time);
+    if (to !== from) {
+      oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+    }
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+    oscillator.connect(gain).connect(destination);
+    oscillator.start(time);
+    oscillator.stop(time + duration + 0.02);
+  }
+
+  #noiseBurst({ from, to, duration, volume, time, destination = this.sfxGain, type = 'bandpass' }) {
+    const source = this.context.createBufferSource();
+    const filter = this.context.createBiquadFilter();
+    const gain = this.context.createGain();
+    source.buffer = this.noise;
+    filter.type = type;
+    filter.frequency.setValueAtTime(from, time);
+    if (to !== from) {
+      filter.frequency.exponentialRampToValueAtTime(to, time + duration);
+    }
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+    source.connect(filter).connect(gain).connect(destination);
+    source.start(time);
+    source.stop(time + duration + 0.02);
+  }
+
+  #createNoiseBuffer() {
+    const buffer = this.context.createBuffer(1, this.context.sampleRate, this.context.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let index = 0; index < samples.length; index += 1) {
+      samples[index] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  #startScheduler() {
+    if (!this.context || this.schedulerTimer) {
+      return;
+    }
+    // Carry on from the current step, starting it shortly from now.
+    this.songStart = this.context.currentTime + 0.05 - this.step * this.stepDuration;
+    this.schedulerTimer = setInterval(() => this.#scheduleMusic(), SCHEDULER_INTERVAL);
+  }
+
+  #scheduleMusic() {
+    // The context clock stands still while suspended, so the song resumes
+    // where it was.
+    if (this.context.state !== 'running') {
+      return;
+    }
+    const { stepDuration } = this;
+    for (;;) {
+      const time = this.songStart + this.step * stepDuration;
+      if (time >= this.context.currentTime + SCHEDULE_AHEAD) {
+        break;
+      }
+      // Steps already due (after a seek) are skipped rather than played late.
+      if (time >= this.context.currentTime && this.step >= 0) {
+        this.#playStep(this.step, time, stepDuration);
+      }
+      this.step += 1;
+    }
+  }
+
+  /**
+   * One sixteenth note of the track: four-on-the-floor kick, off-beat hats,
+   * a bass line on the chord root and an arpeggio over the chord. Step 0 is
+   * beat 0 of the song, so beats line up with `LevelTiming`.
+   */
+  #playStep(step, time, stepDuration) {
+    const chord = PROGRESSION[Math.floor(step / STEPS_PER_BAR) % PROGRESSION.length];
+    const position = step % STEPS_PER_BAR;
+    const destination = this.musicGain;
+    if (this.metronome && position % STEPS_PER_BEAT === 0) {
+      const pitch = position === 0 ? 1760 : 1320;
+      this.#tone({ type: 'square', from: pitch, to: pitch, duration: 0.04, volume: 0.2, time });
+    }
+    if (position % 4 === 0) {
+      this.#tone({ type: 'sine', from: 150, to: 45, duration: 0.22, volume: 0.7, time, destination });
+    }
+    if (position % 4 === 2) {
+      this.#noiseBurst({ from: 8000, to: 8000, duration: 0.05, volume: 0.15, time, destination, type: 'highpass' });
+    }
+    if (position === 4 || position === 12) {
+      this.#noiseBurst({ from: 1800, to: 900, duration: 0.14, volume: 0.25, time, destination });
+    }
+    if (BASS_RHYTHM[position]) {
+      const root = midiToFrequency(chord[0] - 24);
+      this.#tone({ type: 'sawtooth', from: root, to: root, duration: stepDuration * 1.8, volume: 0.22, time, destination });
+    }
+    const index = ARPEGGIO[position];
+    const note = chord[index % chord.length] + 12 * (1 + Math.floor(index / chord.length));
+    const frequency = midiToFrequency(note);
+    this.#tone({ type: 'square', from: frequency, to: frequency, duration: stepDuration * 0.9, volume: 0.06, time, destination });
+  }
+}
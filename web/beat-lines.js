@@ -0,0 +1,24 @@
+/**
+ * Draws a line on every beat in view (see `LevelTiming`), brighter on the
+ * first beat of each bar, which is labelled with its bar number.
+ */
+export function drawBeatLines(ctx, timing, { cameraX, scale, viewportWidth, viewportHeight, beatsPerBar = 4 }) {
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.font = '12px "Segoe UI", sans-serif';
+  ctx.textBaseline = 'top';
+  for (const { beat, x } of timing.beatsBetween(cameraX, cameraX + viewportWidth / scale)) {
+    const screenX = (x - cameraX) * scale;
+    const isBar = beat % beatsPerBar === 0;
+    ctx.strokeStyle = isBar ? 'rgba(123, 216, 143, 0.7)' : 'rgba(123, 216, 143, 0.3)';
+    ctx.beginPath();
+    ctx.moveTo(screenX, 0);
+    ctx.lineTo(screenX, viewportHeight);
+    ctx.stroke();
+    if (isBar) {
+      ctx.fillStyle = 'rgba(123, 216, 143, 0.9)';
+      ctx.fillText(`bar ${beat / beatsPerBar + 1}`, screenX + 4, viewportHeight - 20);
+    }
+  }
+  ctx.restore();
+}
@@ -0,0 +1,125 @@
+export const ANALYTICS_FORMAT_VERSION = 1;
+
+// Oldest deaths are dropped beyond this so the stored history stays small.
+const MAX_RECORDED_DEATHS = 2000;
+
+/**
+ * Where players die on one level (or in endless mode). Every death stores the
+ * template of the segment the player was in (see `Level#templateId`), the
+ * position relative to that segment, and the hazard that killed them; segment
+ * visits are counted alongside so deaths can be turned into a rate per
+ * segment. Generated endless segments are all different, so they share one
+ * `'generated'` row and stay off the heatmap.
+ */
+export class DeathAnalytics {
+  constructor({ deaths = [], visits = {} } = {}) {
+    this.deaths = deaths.map((death) => ({ ...death }));
+    this.visits = { ...visits };
+    this.currentSegmentOffset = null;
+  }
+
+  /**
+   * Call when a run starts or respawns so the segment it starts in counts as
+   * a visit.
+   */
+  beginRun() {
+    this.currentSegmentOffset = null;
+  }
+
+  recordTick(simulation) {
+    const { player, level } = simulation;
+    const segment = level.segmentAt(player.position.x);
+    if (!segment) {
+      return;
+    }
+    const index = level.templateId(segment);
+    if (segment.offset !== this.currentSegmentOffset) {
+      this.currentSegmentOffset = segment.offset;
+      this.visits[index] = (this.visits[index] ?? 0) + 1;
+    }
+    for (const event of simulation.events) {
+      if (event.type !== 'death') {
+        continue;
+      }
+      this.deaths.push({
+        segment: index,
+        x: Math.round(player.position.x - segment.offset),
+        y: Math.round(player.position.y),
+        hazard: event.cause ?? 'unknown',
+        hazardSegment: event.hazard?.segment ?? null,
+        hazardEntity: event.hazard?.entity ?? null,
+      });
+    }
+    if (this.deaths.length > MAX_RECORDED_DEATHS) {
+      this.deaths.splice(0, this.deaths.length - MAX_RECORDED_DEATHS);
+    }
+  }
+
+  /**
+   * One row per visited segment, deadliest first: deaths, visits, the death
+   * rate per visit and the hazard entity responsible for most deaths.
+   */
+  segmentTable() {
+    const rows = new Map();
+    for (const [index, visits] of Object.entries(this.visits)) {
+      const segment = index === 'generated' ? index : Number(index);
+      rows.set(segment, { segment, visits, deaths: 0, hazards: new Map() });
+    }
+    for (const death of this.deaths) {
+      const row = rows.get(death.segment);
+      if (!row) {
+        continue;
+      }
+      row.deaths += 1;
+      // Entity numbers only mean something within one template.
+      const hazardKey = death.segment === 'generated' ? death.hazard : `${death.hazard} #${death.hazardEntity ?? '?'}`;
+      row.hazards.set(hazardKey, (row.hazards.get(hazardKey) ?? 0) + 1);
+    }
+    return [...rows.values()]
+      .map(({ segment, visits, deaths, hazards }) => {
+        const [worstHazard = null, worstCount = 0] = [...hazards].sort((a, b) => b[1] - a[1])[0] ?? [];
+        return { segment, visits, deaths, rate: visits > 0 ? deaths / visits : 0, worstHazard, worstCount };
+      })
+      .sort((a, b) => b.rate - a.rate || b.deaths - a.deaths);
+  }
+
+  /**
+   * Draws a heat blob for every recorded death at the same spot in each
+   * visible copy of the segment it happened in.
+   */
+  drawHeatmap(ctx, level, scale, scrollX, viewportWidth) {
+    const radius = 36 * scale;
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    for (const segment of level.activeSegments) {
+      const index = level.templateId(segment);
+      if (index === 'generated') {
+        continue;
+      }
+      for (const death of this.deaths) {
+        if (death.segment !== index) {
+          continue;
+        }
+        const screenX = (segment.offset + death.x - scrollX) * scale;
+        if (screenX < -radius || screenX > viewportWidth + radius) {
+          continue;
+        }
+        const screenY = death.y * scale;
+        const gradient = ctx.createRadialGradient(screenX, screenY, 0, screenX, screenY, radius);
+        gradient.addColorStop(0, 'rgba(255, 70, 40, 0.35)');
+        gradient.addColorStop(1, 'rgba(255, 70, 40, 0)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(screenX - radius, screenY - radius, radius * 2, radius * 2);
+      }
+    }
+    ctx.restore();
+  }
+
+  toJSON() {
+    return {
+      version: ANALYTICS_FORMAT_VERSION,
+      deaths: this.deaths,
+      visits: this.visits,
+    };
+  }
+}
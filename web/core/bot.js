@@ -0,0 +1,271 @@
+import { SIMULATION_TICK_RATE } from './constants.js';
+import { runHeadless } from './headless.js';
+import { SEGMENT_LIBRARY } from './segments.js';
+import { Simulation } from './simulation.js';
+
+// Ticks between the bot's decisions to hold or release jump (30 per second).
+const DECISION_TICKS = 4;
+// Most search states kept per decision; the rest are dropped evenly.
+const DEFAULT_BEAM_WIDTH = 96;
+
+/**
+ * Input driven by the search: jump is either held or not for a whole
+ * decision, and taking hold of it counts as a press.
+ */
+class BotInput {
+  constructor() {
+    this.held = false;
+    this.jumpQueue = 0;
+    this.jumpPressedThisTick = false;
+  }
+
+  setHeld(held) {
+    if (held && !this.held) {
+      this.jumpQueue = 1;
+      this.jumpPressedThisTick = true;
+    }
+    this.held = held;
+  }
+
+  consumeJumpRequest() {
+    const requested = this.jumpQueue > 0;
+    this.jumpQueue = 0;
+    return requested;
+  }
+
+  isJumpHeld() {
+    return this.held;
+  }
+
+  didPressJumpThisTick() {
+    return this.jumpPressedThisTick;
+  }
+
+  finalizeTick() {
+    this.jumpPressedThisTick = false;
+  }
+}
+
+/**
+ * Searches for jump timings that get through a level. Every decision branches
+ * into holding and releasing jump for the next `DECISION_TICKS` ticks;
+ * branches that end up in the same physical state are merged and the widest
+ * layer is thinned to `beamWidth`, so the search stays linear in the level
+ * length. When every branch dies, the furthest death is where the level
+ * cannot be passed.
+ *
+ * Finite levels are searched to their end. Endless segment chains are searched
+ * until the player has survived `maxTime` seconds on `seed`.
+ *
+ * The search can be advanced a few decisions at a time (see `advance`) so the
+ * game stays responsive while it runs.
+ */
+export class RouteSearch {
+  constructor({
+    templates = SEGMENT_LIBRARY,
+    finite = false,
+    generator = null,
+    seed = 0,
+    startX = 0,
+    maxTime = 60,
+    beamWidth = DEFAULT_BEAM_WIDTH,
+  } = {}) {
+    this.options = { templates, finite, generator, seed, startX, maxTime };
+    this.beamWidth = beamWidth;
+    this.maxTicks = Math.ceil(maxTime * SIMULATION_TICK_RATE);
+    this.simulation = new Simulation(templates, seed);
+    this.simulation.level.setTemplates(templates, {}, { finite, generator });
+    this.simulation.reset(seed, startX);
+    this.input = new BotInput();
+    this.statesExplored = 0;
+    this.furthestDeath = null;
+    this.result = null;
+    this.frontier = [this.#createNode(null, false)];
+  }
+
+  /**
+   * How far the search has got, from 0 to 1.
+   */
+  get progress() {
+    if (this.result) {
+      return 1;
+    }
+    const tick = this.frontier[0]?.checkpoint.tick ?? 0;
+    if (!this.options.finite) {
+      return tick / this.maxTicks;
+    }
+    const x = this.frontier[0]?.checkpoint.player.position.x ?? 0;
+    return Math.min(1, x / this.simulation.level.length);
+  }
+
+  /**
+   * Runs up to `maxDecisions` decisions and returns the result once the
+   * search has finished, or null while it is still going.
+   */
+  advance(maxDecisions = Infinity) {
+    for (let decision = 0; decision < maxDecisions && !this.result; decision += 1) {
+      this.#expandFrontier();
+    }
+    return this.result;
+  }
+
+  #expandFrontier() {
+    const children = new Map();
+    for (const node of this.frontier) {
+      for (const held of [false, true]) {
+        const child = this.#tryDecision(node, held);
+        if (this.result) {
+          return;
+        }
+        if (child && !children.has(child.key)) {
+          children.set(child.key, child);
+        }
+      }
+    }
+    this.frontier = this.#thin([...children.values()]);
+    if (this.frontier.length === 0) {
+      this.#finish(this.furthestDeath.node, this.furthestDeath.held, this.furthestDeath.tick);
+    }
+  }
+
+  /**
+   * Plays one decision from `node` and returns the resulting search state, or
+   * null when the player died on the way.
+   */
+  #tryDecision(node, held) {
+    const { simulation, input } = this;
+    simulation.restoreCheckpoint(node.checkpoint);
+    simulation.player.jumpBuffer = node.jumpBuffer;
+    input.held = node.held;
+    input.setHeld(held);
+    this.statesExplored += 1;
+
+    for (let tick = 0; tick < DECISION_TICKS; tick += 1) {
+      simulation.step(input);
+      if (!simulation.player.isAlive) {
+        this.#recordDeath(node, held);
+        return null;
+      }
+      if (simulation.isComplete || (!this.options.finite && simulation.tick >= this.maxTicks)) {
+        this.#finish(node, held, simulation.tick);
+        return null;
+      }
+    }
+    return this.#createNode(node, held);
+  }
+
+  #createNode(parent, held) {
+    const { player, level } = this.simulation;
+    return {
+      parent,
+      held,
+      checkpoint: this.simulation.createCheckpoint(),
+      jumpBuffer: player.jumpBuffer,
+      // States that agree on all of this play out (close to) identically, so
+      // only one of them needs to be searched further.
+      key: [
+        held ? 1 : 0,
+        Math.round(level.scrollX / 4),
+        Math.round(player.position.y / 2),
+        Math.round(player.velocity.y / 40),
+        player.gravityDirection,
+        player.gamemode,
+        player.isMini ? 1 : 0,
+        player.speedSetting,
+        Math.round(player.boostTimer * 10),
+        player.dash ? 1 : 0,
+        player.isGrounded ? 1 : 0,
+        player.jumpBuffer > 0 ? 1 : 0,
+      ].join(),
+    };
+  }
+
+  /**
+   * Keeps at most `beamWidth` states. States standing on something come
+   * first since every option is still open from there; the airborne ones are
+   * picked evenly over their heights (including the highest and lowest) so
+   * both high and low routes stay in the search.
+   */
+  #thin(nodes) {
+    if (nodes.length <= this.beamWidth) {
+      return nodes;
+    }
+    const grounded = nodes.filter((node) => node.checkpoint.player.isGrounded).slice(0, this.beamWidth);
+    const airborne = nodes
+      .filter((node) => !node.checkpoint.player.isGrounded)
+      .sort((a, b) => a.checkpoint.player.position.y - b.checkpoint.player.position.y);
+    const room = this.beamWidth - grounded.length;
+    if (room === 0 || airborne.length <= room) {
+      return [...grounded, ...airborne.slice(0, room)];
+    }
+    const stride = room === 1 ? 0 : (airborne.length - 1) / (room - 1);
+    return [...grounded, ...Array.from({ length: room }, (_, index) => airborne[Math.round(index * stride)])];
+  }
+
+  #recordDeath(node, held) {
+    const { player, level, events } = this.simulation;
+    if (this.furthestDeath && player.position.x <= this.furthestDeath.x) {
+      return;
+    }
+    const death = events.find((event) => event.type === 'death');
+    const segment = level.segmentAt(player.position.x);
+    this.furthestDeath = {
+      node,
+      held,
+      tick: this.simulation.tick,
+      x: player.position.x,
+      segment: segment ? level.templateId(segment) : null,
+      generated: segment?.template.generated ?? null,
+      cause: death?.cause ?? null,
+      hazard: death?.hazard ?? null,
+    };
+  }
+
+  /**
+   * Turns the decisions leading to `node` (plus the final `held`) into a jump
+   * timeline and checks it by replaying it from the start.
+   */
+  #finish(node, held, ticks) {
+    const decisions = [held];
+    for (let current = node; current.parent; current = current.parent) {
+      decisions.push(current.held);
+    }
+    decisions.reverse();
+
+    const events = [];
+    let wasHeld = false;
+    decisions.forEach((isHeld, index) => {
+      if (isHeld !== wasHeld) {
+        events.push({ tick: index * DECISION_TICKS, type: isHeld ? 'press' : 'release' });
+        wasHeld = isHeld;
+      }
+    });
+
+    const run = runHeadless({ ...this.options, events, maxTime: ticks / SIMULATION_TICK_RATE });
+    const blocked = run.outcome === 'died' ? this.furthestDeath : null;
+    this.result = {
+      ...run,
+      solved: run.outcome !== 'died',
+      events,
+      blockedX: blocked ? blocked.x : null,
+      blockedSegment: blocked ? blocked.segment : null,
+      blockedGenerated: blocked ? blocked.generated : null,
+      cause: blocked ? blocked.cause : null,
+      hazard: blocked ? blocked.hazard : null,
+      statesExplored: this.statesExplored,
+    };
+  }
+}
+
+/**
+ * Runs a `RouteSearch` to the end. The result is the verified headless run of
+ * the route that was found (see `runHeadless`) plus `solved`, its jump
+ * `events`, and when no route exists the furthest position reached
+ * (`blockedX`), the template of the segment there (`blockedSegment`, see
+ * `Level#templateId`), which generated segment it was (`blockedGenerated`,
+ * its `seed`, `offset`, `difficulty` and `speed`) and the `cause` and
+ * `hazard` that stopped it.
+ */
+export function findRoute(options = {}) {
+  return new RouteSearch(options).advance();
+}
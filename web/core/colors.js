@@ -0,0 +1,42 @@
+/**
+ * Named color channels a level can set (see the level format) and color
+ * triggers can blend. `layers` tints the parallax background.
+ */
+export const DEFAULT_LEVEL_COLORS = {
+  background: '#050c1a',
+  ground: '#182238',
+  layers: '#1d2d50',
+  platform: '#2f3b52',
+  hazard: '#d72638',
+  playerPrimary: '#ffc947',
+  playerSecondary: '#ff8c00',
+};
+
+export const COLOR_CHANNELS = Object.keys(DEFAULT_LEVEL_COLORS);
+
+export const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function parseHexColor(hex) {
+  const digits = hex.length === 4 ? [...hex.slice(1)].map((digit) => digit + digit).join('') : hex.slice(1);
+  return [0, 2, 4].map((start) => parseInt(digits.slice(start, start + 2), 16));
+}
+
+function formatHexColor(channels) {
+  return `#${channels.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Writes a hex color in its six-digit form, e.g. for `<input type="color">`.
+ */
+export function normalizeHexColor(hex) {
+  return formatHexColor(parseHexColor(hex));
+}
+
+/**
+ * Blends two hex colors; `amount` 0 gives `from` and 1 gives `to`.
+ */
+export function mixColors(from, to, amount) {
+  const start = parseHexColor(from);
+  const end = parseHexColor(to);
+  return formatHexColor(start.map((channel, index) => Math.round(channel + (end[index] - channel) * amount)));
+}
@@ -0,0 +1,10 @@
+export const WORLD_HEIGHT = 720;
+export const FLOOR_Y = WORLD_HEIGHT - 120;
+export const CEILING_Y = 120;
+export const PLAYER_SIZE = 64;
+export const SIMULATION_TICK_RATE = 120;
+export const TICK_DURATION = 1 / SIMULATION_TICK_RATE;
+// Horizontal scroll speed at speed setting 1, in world units per second.
+export const SCROLL_SPEED = 360;
+// Screen x the player is drawn at; the level scrolls past it.
+export const PLAYER_ANCHOR_X = 260;
@@ -0,0 +1,88 @@
+import { BUILT_IN_ENTITY_TYPES } from './entity-types.js';
+import { Circle, Rectangle } from './geometry.js';
+
+const SHAPES = ['rect', 'circle'];
+const TYPE_NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const entityTypes = new Map();
+const loadedModules = new Set();
+
+/**
+ * Adds an entity type that levels can use. `definition` declares:
+ *
+ * - `shape` – `'rect'` (sized by `width` and `height`) or `'circle'` (sized by
+ *   `radius`, centred on `x`, `y`).
+ * - `properties` – The properties the level format accepts, each `'number'`,
+ *   `'boolean'`, `'color'`, `'group'` (a group ID, a positive whole number) or
+ *   a list of allowed values.
+ * - `orientations` – Allowed `orientation` values, if the type has any.
+ * - `defaults` – Size, orientation and properties the editor places it with.
+ * - `interact(entity, contact)` – Runs every tick while the entity is near the
+ *   player. `contact` holds the `level`, `player`, `input`, `segment`, its
+ *   `offset`, the player's `playerRect` and `previousRect`, `kill(entity)` to
+ *   kill the player and `collect(entity)` to collect a collectible. Assign
+ *   `contact.playerRect` after moving the player.
+ * - `collisionShape(entity, offset, playerRect)` – What the debug overlay
+ *   outlines (see `Level#getCollisionShape`); defaults to the shape's bounds.
+ * - `draw(ctx, entity, view)` – Draws the entity at `view.screenX` with
+ *   `view.scale`, `view.scrollX` and the level's `view.colors`. The canvas
+ *   state is saved and restored around it.
+ * - `editorOnly` – Only drawn in the editor, like triggers.
+ * - `triggersGroups` – Fires once when the player's centre passes its `x`,
+ *   running the move, rotate, toggle, fade or color action its properties
+ *   describe (see `startTrigger`). Such entities are never group members.
+ * - `collectible` – Counts as a coin: `collect(entity)` hides it for the rest
+ *   of the run and scores it, checkpoints remember whether it was collected,
+ *   and it is left out of the layout ghosts and bests are keyed by.
+ *
+ * Throws when the name is taken or the definition is malformed.
+ */
+export function registerEntityType(type, definition) {
+  if (typeof type !== 'string' || !TYPE_NAME.test(type)) {
+    throw new Error(`Entity type names must start with a letter and use letters, digits, "_" or "-" (got ${JSON.stringify(type)})`);
+  }
+  if (entityTypes.has(type)) {
+    throw new Error(`Entity type "${type}" is already registered`);
+  }
+  const shape = definition.shape ?? 'rect';
+  if (!SHAPES.includes(shape)) {
+    throw new Error(`Entity type "${type}" has an unknown shape ${JSON.stringify(shape)} (expected "rect" or "circle")`);
+  }
+  entityTypes.set(type, { properties: {}, defaults: {}, ...definition, shape });
+}
+
+export function getEntityType(type) {
+  return entityTypes.get(type) ?? null;
+}
+
+/**
+ * Registered type names, built-in types first in their editor order.
+ */
+export function entityTypeNames() {
+  return [...entityTypes.keys()];
+}
+
+/**
+ * Imports the modules that add custom entity types, resolving relative
+ * `specifiers` against `baseUrl`. Each module's default export is called once
+ * with `{ registerEntityType, Rectangle, Circle }`, so modules do not need
+ * to know where the core lives. Modules already loaded are skipped.
+ */
+export async function loadEntityModules(specifiers, baseUrl) {
+  for (const specifier of specifiers) {
+    const url = new URL(specifier, baseUrl).href;
+    if (loadedModules.has(url)) {
+      continue;
+    }
+    const module = await import(url);
+    if (typeof module.default !== 'function') {
+      throw new Error(`${specifier} does not export a default function`);
+    }
+    module.default({ registerEntityType, Rectangle, Circle });
+    loadedModules.add(url);
+  }
+}
+
+for (const [type, definition] of Object.entries(BUILT_IN_ENTITY_TYPES)) {
+  registerEntityType(type, definition);
+}
@@ -0,0 +1,795 @@
+import { COLOR_CHANNELS, mixColors } from './colors.js';
+import { CEILING_Y, FLOOR_Y, SCROLL_SPEED } from './constants.js';
+import { Circle, Rectangle } from './geometry.js';
+import { GAMEMODES } from './player.js';
+import { EASINGS, TRIGGER_ACTIONS } from './triggers.js';
+
+/**
+ * Orb variants with their default `power` and draw colors (inner, outer).
+ * Blue flips gravity, green flips gravity and jumps, black slams towards the
+ * ground and dash holds the player on a straight line while jump is held.
+ */
+export const ORB_VARIANTS = {
+  yellow: { power: 1000, colors: ['rgba(255, 221, 87, 1)', 'rgba(255, 128, 0, 0.2)'] },
+  blue: { power: 400, colors: ['rgba(109, 196, 255, 1)', 'rgba(40, 84, 188, 0.2)'] },
+  green: { power: 1000, colors: ['rgba(123, 216, 143, 1)', 'rgba(45, 106, 79, 0.2)'] },
+  black: { power: 1400, colors: ['rgba(27, 31, 59, 1)', 'rgba(215, 38, 56, 0.35)'] },
+  dash: { power: 0, colors: ['rgba(255, 255, 255, 1)', 'rgba(157, 78, 221, 0.25)'] },
+};
+
+/**
+ * Jump pads fire as soon as the player touches them; the variant only sets
+ * the default launch `power` and color.
+ */
+export const PAD_VARIANTS = {
+  pink: { power: 700, color: '#ff5fa2' },
+  yellow: { power: 1000, color: '#ffc947' },
+  red: { power: 1300, color: '#d72638' },
+};
+
+export const COIN_COLORS = { collected: '#ffd166', missing: '#3a4563' };
+
+const GAMEMODE_PORTAL_COLORS = {
+  cube: '#7bd88f',
+  ship: '#ff5fa2',
+  ball: '#ff6b35',
+  ufo: '#ffb703',
+  wave: '#3ddbd9',
+};
+
+const SPEED_PORTAL_COLORS = {
+  0.5: '#ff9f1c',
+  1: '#5bc0eb',
+  2: '#7bd88f',
+  3: '#ff5fa2',
+  4: '#d72638',
+};
+
+// Slack (in world units) when deciding which face of a block the player hit,
+// so sliding along a surface is not mistaken for a side impact.
+const SURFACE_TOLERANCE = 1;
+
+// Saws only hurt inside this share of their radius, so grazing the tips of
+// the teeth is forgiven.
+const SAW_HITBOX_SCALE = 0.8;
+const SAW_TEETH = 12;
+
+// Mini spikes only hurt inside a box around the lower middle of the spike.
+const MINI_SPIKE_HITBOX = { left: 1 / 3, width: 1 / 3, height: 0.6 };
+
+function entityRect(entity, offset) {
+  return new Rectangle(offset + entity.x, entity.y, entity.width, entity.height);
+}
+
+function overlaps(entity, contact) {
+  return contact.playerRect.intersects(entityRect(entity, contact.offset));
+}
+
+/**
+ * Copies the player's bounds into `rect` after a collision moved the player,
+ * so later entities in the same tick see where the player ended up.
+ */
+function updateBounds(rect, player) {
+  const updated = player.getBounds();
+  rect.x = updated.x;
+  rect.y = updated.y;
+  rect.width = updated.width;
+  rect.height = updated.height;
+}
+
+/**
+ * Resolves the player against a solid block. Landing on the surface facing
+ * gravity grounds the player and hitting the opposite face stops vertical
+ * movement; any other overlap means the player ran into the block's side and
+ * crashed, which is reported by returning true. Pass-through platforms can
+ * only be landed on.
+ */
+function resolvePlatform(player, entity, offset, currentRect, previousRect) {
+  const rect = entityRect(entity, offset);
+  if (!currentRect.intersects(rect)) {
+    return false;
+  }
+
+  // Compare against where the block was last tick, so a platform moved by
+  // a trigger carries the player instead of hitting them from the side.
+  const previousTop = entity.previousY;
+  const previousBottom = entity.previousY + entity.height;
+  const tolerance = Math.abs(player.velocity.y) * 0.02 + SURFACE_TOLERANCE;
+  const cameFromAbove = previousRect.bottom <= previousTop + tolerance;
+  const cameFromBelow = previousRect.top >= previousBottom - tolerance;
+  const [landingSide, landingY, bonkSide, bonkY] = player.gravityDirection === 1
+    ? [cameFromAbove, rect.top, cameFromBelow, rect.bottom]
+    : [cameFromBelow, rect.bottom, cameFromAbove, rect.top];
+
+  if (landingSide) {
+    player.land(landingY);
+  } else if (entity.properties.passThrough) {
+    return false;
+  } else if (bonkSide) {
+    player.bonk(bonkY);
+  } else {
+    return true;
+  }
+  updateBounds(currentRect, player);
+  return false;
+}
+
+/**
+ * Corners of a slope: both ends of its flat side, then the tall end of the
+ * sloped face.
+ */
+function slopeCorners(rect, entity) {
+  const flatY = entity.orientation === 'down' ? rect.top : rect.bottom;
+  const tipY = entity.orientation === 'down' ? rect.bottom : rect.top;
+  const tallX = entity.properties.direction === 'down' ? rect.left : rect.right;
+  return [
+    { x: rect.left, y: flatY },
+    { x: rect.right, y: flatY },
+    { x: tallX, y: tipY },
+  ];
+}
+
+/**
+ * Height of a slope's face at the highest point under `playerRect`, which is
+ * the player's front corner on a slope going up and back corner going down.
+ */
+function slopeSurfaceY(rect, entity, playerRect) {
+  const risesRight = entity.properties.direction !== 'down';
+  const x = risesRight ? Math.min(playerRect.right, rect.right) : Math.max(playerRect.left, rect.left);
+  const share = Math.min(1, Math.max(0, (x - rect.left) / rect.width));
+  const thickness = (risesRight ? share : 1 - share) * rect.height;
+  return entity.orientation === 'down' ? rect.top + thickness : rect.bottom - thickness;
+}
+
+/**
+ * Resolves the player against a slope: a solid right triangle whose sloped
+ * face points up (`orientation` `up`) or down. `direction` `up` means the
+ * slope gets thicker to the right. The player stands on the highest point
+ * of the face under it, tilted to the slope's angle, and follows the face
+ * down instead of hopping off it. Like platforms, hitting the flat side
+ * stops the player and hitting the tall end is a crash (returns true).
+ */
+function resolveSlope(player, entity, offset, currentRect, previousRect) {
+  const rect = entityRect(entity, offset);
+  if (!currentRect.intersects(rect)) {
+    return false;
+  }
+  const facesUp = entity.orientation !== 'down';
+  const previousSlopeRect = new Rectangle(offset + entity.previousX, entity.previousY, entity.width, entity.height);
+  // How far the player is clear of the sloped face, now and last tick.
+  const clearance = (playerRect, slopeRect) => {
+    const surfaceY = slopeSurfaceY(slopeRect, entity, playerRect);
+    return facesUp ? surfaceY - playerRect.bottom : playerRect.top - surfaceY;
+  };
+  const gap = clearance(currentRect, rect);
+  const previousGap = clearance(previousRect, previousSlopeRect);
+  const standsOnFace = (player.gravityDirection === 1) === facesUp;
+  // Snap a player that was standing on the face to it while they run down
+  // the slope, as far as the slope drops over this tick's movement.
+  const snapDistance = (currentRect.x - previousRect.x) * (entity.height / entity.width) + SURFACE_TOLERANCE;
+  const riding = standsOnFace && player.isGrounded && Math.abs(previousGap) <= SURFACE_TOLERANCE;
+  if (gap >= 0 && !(riding && gap <= snapDistance)) {
+    return false;
+  }
+
+  const tolerance = Math.abs(player.velocity.y) * 0.02 + SURFACE_TOLERANCE;
+  const surfaceY = slopeSurfaceY(rect, entity, currentRect);
+  if (previousGap >= -tolerance) {
+    if (standsOnFace) {
+      // Past the tall end the player rests on the corner, level.
+      const risesRight = entity.properties.direction !== 'down';
+      const onCorner = risesRight ? currentRect.right >= rect.right : currentRect.left <= rect.left;
+      const angle = onCorner ? 0 : Math.atan2(entity.height, entity.width) * (risesRight ? -1 : 1);
+      player.land(surfaceY, facesUp ? angle : -angle);
+    } else {
+      player.bonk(surfaceY);
+    }
+  } else {
+    const flatY = facesUp ? rect.bottom : rect.top;
+    const cameFromFlatSide = facesUp
+      ? previousRect.top >= previousSlopeRect.bottom - tolerance
+      : previousRect.bottom <= previousSlopeRect.top + tolerance;
+    if (!cameFromFlatSide) {
+      return true;
+    }
+    if (standsOnFace) {
+      player.bonk(flatY);
+    } else {
+      player.land(flatY);
+    }
+  }
+  updateBounds(currentRect, player);
+  return false;
+}
+
+/**
+ * Height of a spike's sloped surface at world x. Spikes are only tested at
+ * the player's horizontal centre, against this triangle.
+ */
+function spikeSurfaceY(rect, orientation, x) {
+  const relativeX = (x - rect.left) / rect.width;
+  if (orientation === 'up') {
+    return rect.bottom - Math.abs(relativeX - 0.5) * rect.height * 2;
+  }
+  return rect.top + Math.abs(relativeX - 0.5) * rect.height * 2;
+}
+
+function checkSpikeCollision(playerRect, offset, entity) {
+  const rect = entityRect(entity, offset);
+  if (!playerRect.intersects(rect)) {
+    return false;
+  }
+  const spikeY = spikeSurfaceY(rect, entity.orientation, playerRect.centerX);
+  if (entity.orientation === 'up') {
+    return playerRect.bottom >= spikeY;
+  }
+  return playerRect.top <= spikeY;
+}
+
+/**
+ * Mini spikes are too short for the slope test full spikes use, so they get
+ * a small box hitbox around the lower middle of the spike instead.
+ */
+function miniSpikeHitbox(offset, entity) {
+  const height = entity.height * MINI_SPIKE_HITBOX.height;
+  return new Rectangle(
+    offset + entity.x + entity.width * MINI_SPIKE_HITBOX.left,
+    entity.orientation === 'up' ? entity.y + entity.height - height : entity.y,
+    entity.width * MINI_SPIKE_HITBOX.width,
+    height
+  );
+}
+
+function sawHitbox(offset, entity) {
+  return new Circle(offset + entity.x, entity.y, entity.radius * SAW_HITBOX_SCALE);
+}
+
+function activateOrb(player, entity) {
+  const variantName = ORB_VARIANTS[entity.properties.variant] ? entity.properties.variant : 'yellow';
+  const power = entity.properties.power ?? ORB_VARIANTS[variantName].power;
+  player.emit('orb', { variant: variantName });
+  switch (variantName) {
+    case 'blue':
+      player.flipGravity();
+      player.velocity.y = power * player.gravityDirection;
+      break;
+    case 'green':
+      player.flipGravity();
+      player.performOrbJump(power);
+      break;
+    case 'black':
+      player.performSlam(power);
+      break;
+    case 'dash':
+      player.startDash({
+        angle: entity.properties.angle ?? 0,
+        duration: entity.properties.duration ?? 1,
+      });
+      break;
+    default:
+      player.performOrbJump(power);
+      break;
+  }
+}
+
+function drawSpike(ctx, screenX, entity, scale, color) {
+  const width = entity.width * scale;
+  const height = entity.height * scale;
+  const screenY = entity.y * scale;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  if (entity.orientation === 'up') {
+    ctx.moveTo(screenX, screenY + height);
+    ctx.lineTo(screenX + width / 2, screenY);
+    ctx.lineTo(screenX + width, screenY + height);
+  } else {
+    ctx.moveTo(screenX, screenY);
+    ctx.lineTo(screenX + width / 2, screenY + height);
+    ctx.lineTo(screenX + width, screenY);
+  }
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Draws a coin icon; also used by the results screen, which shows coins that
+ * were not collected in `COIN_COLORS.missing`.
+ */
+export function drawCoin(ctx, x, y, radius, color) {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = mixColors(color, '#000000', 0.35);
+  ctx.lineWidth = Math.max(2, radius * 0.15);
+  ctx.beginPath();
+  ctx.arc(x, y, radius * 0.65, 0, Math.PI * 2);
+  ctx.stroke();
+}
+
+function drawPortalFrame(ctx, screenX, entity, scale, color) {
+  const width = entity.width * scale;
+  const height = entity.height * scale;
+  const screenY = entity.y * scale;
+  const gradient = ctx.createLinearGradient(screenX, screenY, screenX + width, screenY);
+  gradient.addColorStop(0, 'rgba(11, 19, 43, 0.2)');
+  gradient.addColorStop(0.5, color);
+  gradient.addColorStop(1, 'rgba(11, 19, 43, 0.2)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(screenX, screenY, width, height);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = Math.max(2, 4 * scale);
+  ctx.strokeRect(screenX, screenY, width, height);
+}
+
+/**
+ * The built-in entity types (see `registerEntityType` for what a type
+ * declares), in the order the editor lists them.
+ */
+export const BUILT_IN_ENTITY_TYPES = {
+  platform: {
+    shape: 'rect',
+    properties: { passThrough: 'boolean' },
+    defaults: { width: 200, height: 32 },
+    interact(entity, contact) {
+      if (resolvePlatform(contact.player, entity, contact.offset, contact.playerRect, contact.previousRect)) {
+        contact.kill(entity);
+      }
+    },
+    draw(ctx, entity, { screenX, scale, colors }) {
+      const width = entity.width * scale;
+      const height = entity.height * scale;
+      const screenY = entity.y * scale;
+      if (entity.properties.passThrough) {
+        ctx.globalAlpha *= 0.55;
+      }
+      ctx.fillStyle = colors.platform;
+      ctx.fillRect(screenX, screenY, width, height);
+      ctx.fillStyle = mixColors(colors.platform, '#ffffff', 0.1);
+      ctx.fillRect(screenX, screenY, width, height / 4);
+    },
+  },
+  spike: {
+    shape: 'rect',
+    properties: {},
+    orientations: ['up', 'down'],
+    defaults: { width: 64, height: 64, orientation: 'up' },
+    interact(entity, contact) {
+      if (checkSpikeCollision(contact.playerRect, contact.offset, entity)) {
+        contact.kill(entity);
+      }
+    },
+    /**
+     * Spikes add the `triangle` corners and, while the player overlaps the
+     * spike, the `probe` point on the slope that the player's bounds are
+     * compared against.
+     */
+    collisionShape(entity, offset, playerRect) {
+      const rect = entityRect(entity, offset);
+      const tipY = entity.orientation === 'up' ? rect.top : rect.bottom;
+      const baseY = entity.orientation === 'up' ? rect.bottom : rect.top;
+      const triangle = [
+        { x: rect.left, y: baseY },
+        { x: rect.centerX, y: tipY },
+        { x: rect.right, y: baseY },
+      ];
+      const probe = playerRect?.intersects(rect)
+        ? { x: playerRect.centerX, y: spikeSurfaceY(rect, entity.orientation, playerRect.centerX) }
+        : null;
+      return { rect, triangle, probe };
+    },
+    draw(ctx, entity, { screenX, scale, colors }) {
+      drawSpike(ctx, screenX, entity, scale, colors.hazard);
+    },
+  },
+  booster: {
+    shape: 'rect',
+    properties: { multiplier: 'number', duration: 'number', gravityScale: 'number', cooldown: 'number' },
+    defaults: { width: 80, height: 80, properties: { multiplier: 1.3, duration: 1.2, gravityScale: 0.6 } },
+    interact(entity, contact) {
+      if (overlaps(entity, contact) && entity.cooldown === 0) {
+        contact.player.emit('boost');
+        contact.player.applyBoost({
+          multiplier: entity.properties.multiplier ?? 1.2,
+          duration: entity.properties.duration ?? 1,
+          gravityScale: entity.properties.gravityScale ?? 0.7,
+        });
+        entity.cooldown = (entity.properties.cooldown ?? entity.properties.duration ?? 1) + 0.2;
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      const width = entity.width * scale;
+      const height = entity.height * scale;
+      const screenY = entity.y * scale;
+      const gradient = ctx.createLinearGradient(screenX, screenY, screenX, screenY + height);
+      gradient.addColorStop(0, 'rgba(72, 149, 239, 0.9)');
+      gradient.addColorStop(1, 'rgba(40, 84, 188, 0.6)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(screenX, screenY, width, height);
+      ctx.strokeStyle = 'rgba(109, 196, 255, 0.8)';
+      ctx.lineWidth = Math.max(2, 4 * scale);
+      ctx.strokeRect(screenX, screenY, width, height);
+    },
+  },
+  orb: {
+    shape: 'circle',
+    properties: {
+      variant: Object.keys(ORB_VARIANTS),
+      power: 'number',
+      cooldown: 'number',
+      angle: 'number',
+      duration: 'number',
+    },
+    defaults: { radius: 28, properties: { variant: 'yellow', power: 1050, cooldown: 0.35 } },
+    interact(entity, contact) {
+      const circle = new Circle(contact.offset + entity.x, entity.y, entity.radius);
+      if (entity.cooldown === 0 && circle.intersectsRect(contact.playerRect)) {
+        if (contact.input.didPressJumpThisTick() || contact.input.isJumpHeld()) {
+          activateOrb(contact.player, entity);
+          entity.cooldown = entity.properties.cooldown ?? 0.3;
+          contact.playerRect = contact.player.getBounds();
+        }
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      const radius = entity.radius * scale;
+      const screenY = entity.y * scale;
+      const variantName = ORB_VARIANTS[entity.properties.variant] ? entity.properties.variant : 'yellow';
+      const [inner, outer] = ORB_VARIANTS[variantName].colors;
+      ctx.beginPath();
+      ctx.arc(screenX, screenY, radius, 0, Math.PI * 2);
+      const gradient = ctx.createRadialGradient(screenX, screenY, radius * 0.2, screenX, screenY, radius);
+      gradient.addColorStop(0, inner);
+      gradient.addColorStop(1, outer);
+      ctx.fillStyle = gradient;
+      ctx.fill();
+
+      ctx.strokeStyle = inner;
+      ctx.lineWidth = Math.max(2, 3 * scale);
+      if (variantName === 'dash') {
+        const angle = -((entity.properties.angle ?? 0) * Math.PI) / 180;
+        ctx.translate(screenX, screenY);
+        ctx.rotate(angle);
+        ctx.beginPath();
+        ctx.moveTo(-radius * 0.5, 0);
+        ctx.lineTo(radius * 0.5, 0);
+        ctx.moveTo(radius * 0.2, -radius * 0.3);
+        ctx.lineTo(radius * 0.5, 0);
+        ctx.lineTo(radius * 0.2, radius * 0.3);
+        ctx.stroke();
+      } else if (variantName === 'blue' || variantName === 'green') {
+        ctx.beginPath();
+        ctx.moveTo(screenX, screenY - radius * 0.5);
+        ctx.lineTo(screenX, screenY + radius * 0.5);
+        ctx.stroke();
+      } else if (variantName === 'black') {
+        ctx.strokeStyle = outer;
+        ctx.beginPath();
+        ctx.arc(screenX, screenY, radius * 0.8, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    },
+  },
+  pad: {
+    shape: 'rect',
+    properties: { variant: Object.keys(PAD_VARIANTS), power: 'number', cooldown: 'number' },
+    orientations: ['up', 'down'],
+    defaults: { width: 60, height: 16, orientation: 'up', properties: { variant: 'yellow' } },
+    interact(entity, contact) {
+      if (entity.cooldown === 0 && overlaps(entity, contact)) {
+        const variantName = PAD_VARIANTS[entity.properties.variant] ? entity.properties.variant : 'yellow';
+        contact.player.emit('pad', { variant: variantName });
+        contact.player.performOrbJump(entity.properties.power ?? PAD_VARIANTS[variantName].power);
+        entity.cooldown = entity.properties.cooldown ?? 0.3;
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      const width = entity.width * scale;
+      const height = entity.height * scale;
+      const screenY = entity.y * scale;
+      const variant = PAD_VARIANTS[entity.properties.variant] ?? PAD_VARIANTS.yellow;
+      ctx.fillStyle = variant.color;
+      ctx.beginPath();
+      if (entity.orientation === 'down') {
+        ctx.ellipse(screenX + width / 2, screenY, width / 2, height, 0, 0, Math.PI);
+      } else {
+        ctx.ellipse(screenX + width / 2, screenY + height, width / 2, height, 0, Math.PI, Math.PI * 2);
+      }
+      ctx.fill();
+    },
+  },
+  portal: {
+    shape: 'rect',
+    properties: { gravity: 'number', cooldown: 'number' },
+    defaults: { width: 64, height: 200, properties: { gravity: -1, cooldown: 1 } },
+    interact(entity, contact) {
+      if (overlaps(entity, contact) && entity.cooldown === 0) {
+        contact.player.emit('portal', { kind: 'portal' });
+        contact.player.flipGravity(entity.properties.gravity);
+        entity.cooldown = entity.properties.cooldown ?? 0.8;
+        contact.playerRect = contact.player.getBounds();
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      const width = entity.width * scale;
+      const height = entity.height * scale;
+      const screenY = entity.y * scale;
+      const gradient = ctx.createLinearGradient(screenX, screenY, screenX + width, screenY + height);
+      gradient.addColorStop(0, entity.properties.gravity === -1 ? '#9d4edd' : '#2d6a4f');
+      gradient.addColorStop(1, '#0b132b');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(screenX, screenY, width, height);
+    },
+  },
+  gamemodePortal: {
+    shape: 'rect',
+    properties: { mode: Object.keys(GAMEMODES), cooldown: 'number' },
+    defaults: { width: 64, height: 200, properties: { mode: 'ship', cooldown: 1 } },
+    interact(entity, contact) {
+      if (overlaps(entity, contact) && entity.cooldown === 0) {
+        contact.player.emit('portal', { kind: 'gamemodePortal' });
+        contact.player.setGamemode(entity.properties.mode ?? 'cube');
+        entity.cooldown = entity.properties.cooldown ?? 0.8;
+        contact.playerRect = contact.player.getBounds();
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      const color = GAMEMODE_PORTAL_COLORS[entity.properties.mode] ?? GAMEMODE_PORTAL_COLORS.cube;
+      drawPortalFrame(ctx, screenX, entity, scale, color);
+    },
+  },
+  speedPortal: {
+    shape: 'rect',
+    properties: { speed: [0.5, 1, 2, 3, 4], cooldown: 'number' },
+    defaults: { width: 64, height: 200, properties: { speed: 2 } },
+    interact(entity, contact) {
+      if (overlaps(entity, contact) && entity.cooldown === 0) {
+        const { level, player } = contact;
+        player.emit('portal', { kind: 'speedPortal' });
+        // Speed portals take effect immediately instead of easing in.
+        player.speedSetting = entity.properties.speed ?? 1;
+        level.currentSpeed = level.baseSpeed * player.speedFactor;
+        entity.cooldown = entity.properties.cooldown ?? 0.8;
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      const speed = entity.properties.speed ?? 1;
+      drawPortalFrame(ctx, screenX, entity, scale, SPEED_PORTAL_COLORS[speed] ?? SPEED_PORTAL_COLORS[1]);
+
+      const width = entity.width * scale;
+      const centerY = (entity.y + entity.height / 2) * scale;
+      const chevrons = Math.max(1, Math.ceil(speed));
+      const step = width / (chevrons + 1);
+      ctx.strokeStyle = '#f8f9fa';
+      ctx.lineWidth = Math.max(2, 3 * scale);
+      for (let index = 0; index < chevrons; index += 1) {
+        const x = screenX + step * (index + 0.5);
+        ctx.beginPath();
+        ctx.moveTo(x, centerY - step * 0.6);
+        ctx.lineTo(x + step * 0.6, centerY);
+        ctx.lineTo(x, centerY + step * 0.6);
+        ctx.stroke();
+      }
+    },
+  },
+  sizePortal: {
+    shape: 'rect',
+    properties: { size: ['mini', 'normal'], cooldown: 'number' },
+    defaults: { width: 64, height: 200, properties: { size: 'mini' } },
+    interact(entity, contact) {
+      if (overlaps(entity, contact) && entity.cooldown === 0) {
+        contact.player.emit('portal', { kind: 'sizePortal' });
+        contact.player.setMini(entity.properties.size === 'mini');
+        entity.cooldown = entity.properties.cooldown ?? 0.8;
+        contact.playerRect = contact.player.getBounds();
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      drawPortalFrame(ctx, screenX, entity, scale, entity.properties.size === 'mini' ? '#ff5fa2' : '#7bd88f');
+    },
+  },
+  mirrorPortal: {
+    shape: 'rect',
+    properties: { mirror: ['on', 'off'], cooldown: 'number' },
+    defaults: { width: 64, height: 200, properties: { mirror: 'on' } },
+    interact(entity, contact) {
+      if (overlaps(entity, contact) && entity.cooldown === 0) {
+        contact.player.emit('portal', { kind: 'mirrorPortal' });
+        contact.player.mirrored = entity.properties.mirror !== 'off';
+        entity.cooldown = entity.properties.cooldown ?? 0.8;
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      drawPortalFrame(ctx, screenX, entity, scale, entity.properties.mirror === 'off' ? '#5bc0eb' : '#ff9f1c');
+    },
+  },
+  // Triggers are fired by `Level` itself (see `startTrigger`).
+  trigger: {
+    shape: 'rect',
+    properties: {
+      action: TRIGGER_ACTIONS,
+      group: 'group',
+      duration: 'number',
+      easing: Object.keys(EASINGS),
+      moveX: 'number',
+      moveY: 'number',
+      angle: 'number',
+      centerX: 'number',
+      centerY: 'number',
+      show: 'boolean',
+      opacity: 'number',
+      channel: COLOR_CHANNELS,
+      color: 'color',
+    },
+    defaults: { width: 40, height: 40, properties: { action: 'move', group: 1, duration: 1, easing: 'easeInOut', moveY: -120 } },
+    editorOnly: true,
+    triggersGroups: true,
+    /**
+     * Triggers are invisible in play; the editor shows them as a marker with
+     * the line the player's centre has to cross.
+     */
+    draw(ctx, entity, { screenX, scale }) {
+      const width = entity.width * scale;
+      const height = entity.height * scale;
+      const screenY = entity.y * scale;
+      ctx.strokeStyle = '#f8f9fa';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.moveTo(screenX, CEILING_Y * scale);
+      ctx.lineTo(screenX, FLOOR_Y * scale);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = 'rgba(248, 249, 250, 0.2)';
+      ctx.fillRect(screenX, screenY, width, height);
+      ctx.strokeRect(screenX, screenY, width, height);
+      ctx.fillStyle = '#f8f9fa';
+      ctx.font = `${Math.max(10, 12 * scale)}px "Segoe UI", sans-serif`;
+      ctx.textBaseline = 'top';
+      const { action = 'move', group = 1, channel = 'background' } = entity.properties;
+      ctx.fillText(action === 'color' ? `color ${channel}` : `${action} ${group}`, screenX + 2, screenY + 2);
+    },
+  },
+  miniSpike: {
+    shape: 'rect',
+    properties: {},
+    orientations: ['up', 'down'],
+    defaults: { width: 64, height: 32, orientation: 'up' },
+    interact(entity, contact) {
+      if (contact.playerRect.intersects(miniSpikeHitbox(contact.offset, entity))) {
+        contact.kill(entity);
+      }
+    },
+    collisionShape(entity, offset) {
+      return { rect: miniSpikeHitbox(offset, entity) };
+    },
+    draw(ctx, entity, { screenX, scale, colors }) {
+      drawSpike(ctx, screenX, entity, scale, colors.hazard);
+    },
+  },
+  saw: {
+    shape: 'circle',
+    properties: { spin: 'number' },
+    defaults: { radius: 48, properties: { spin: 1 } },
+    interact(entity, contact) {
+      if (sawHitbox(contact.offset, entity).intersectsRect(contact.playerRect)) {
+        contact.kill(entity);
+      }
+    },
+    collisionShape(entity, offset) {
+      return { circle: sawHitbox(offset, entity) };
+    },
+    /**
+     * Saws turn with the distance scrolled, `spin` times per second at normal
+     * speed, so they stop when the run does. The teeth reach past the hitbox.
+     */
+    draw(ctx, entity, { screenX, scale, scrollX, colors }) {
+      const radius = entity.radius * scale;
+      const turns = (scrollX / SCROLL_SPEED) * (entity.properties.spin ?? 1);
+      ctx.translate(screenX, entity.y * scale);
+      ctx.rotate(turns * Math.PI * 2);
+      ctx.fillStyle = colors.hazard;
+      ctx.beginPath();
+      for (let point = 0; point < SAW_TEETH * 2; point += 1) {
+        const angle = (point * Math.PI) / SAW_TEETH;
+        const distance = point % 2 === 0 ? radius : radius * SAW_HITBOX_SCALE;
+        ctx.lineTo(Math.cos(angle) * distance, Math.sin(angle) * distance);
+      }
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillStyle = mixColors(colors.hazard, '#000000', 0.35);
+      ctx.beginPath();
+      ctx.arc(0, 0, radius * 0.55, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#1b1f3b';
+      ctx.beginPath();
+      ctx.arc(0, 0, radius * 0.15, 0, Math.PI * 2);
+      ctx.fill();
+    },
+  },
+  slope: {
+    shape: 'rect',
+    properties: { direction: ['up', 'down'] },
+    orientations: ['up', 'down'],
+    defaults: { width: 160, height: 80, orientation: 'up', properties: { direction: 'up' } },
+    interact(entity, contact) {
+      if (resolveSlope(contact.player, entity, contact.offset, contact.playerRect, contact.previousRect)) {
+        contact.kill(entity);
+      }
+    },
+    collisionShape(entity, offset) {
+      const rect = entityRect(entity, offset);
+      return { rect, triangle: slopeCorners(rect, entity) };
+    },
+    draw(ctx, entity, { screenX, scale, colors }) {
+      const rect = new Rectangle(screenX, entity.y * scale, entity.width * scale, entity.height * scale);
+      const [start, end, tip] = slopeCorners(rect, entity);
+      ctx.fillStyle = colors.platform;
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.lineTo(tip.x, tip.y);
+      ctx.closePath();
+      ctx.fill();
+      // Highlight the face the player slides on.
+      const foot = tip.x === end.x ? start : end;
+      ctx.strokeStyle = mixColors(colors.platform, '#ffffff', 0.25);
+      ctx.lineWidth = Math.max(2, 4 * scale);
+      ctx.beginPath();
+      ctx.moveTo(foot.x, foot.y);
+      ctx.lineTo(tip.x, tip.y);
+      ctx.stroke();
+    },
+  },
+  decoration: {
+    shape: 'rect',
+    properties: { shape: ['block', 'spike', 'circle'], color: 'color' },
+    orientations: ['up', 'down'],
+    defaults: { width: 64, height: 64, orientation: 'up', properties: { shape: 'spike' } },
+    collisionShape() {
+      return null;
+    },
+    /**
+     * Decorations never collide. They take the platform or, for spike shapes,
+     * the hazard color unless they set their own, so they can pass for the
+     * real thing.
+     */
+    draw(ctx, entity, { screenX, scale, colors }) {
+      const shape = entity.properties.shape ?? 'block';
+      const color = entity.properties.color ?? (shape === 'spike' ? colors.hazard : colors.platform);
+      const width = entity.width * scale;
+      const height = entity.height * scale;
+      const screenY = entity.y * scale;
+      ctx.fillStyle = color;
+      switch (shape) {
+        case 'spike':
+          drawSpike(ctx, screenX, entity, scale, color);
+          break;
+        case 'circle':
+          ctx.beginPath();
+          ctx.ellipse(screenX + width / 2, screenY + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+          ctx.fill();
+          break;
+        default:
+          ctx.fillRect(screenX, screenY, width, height);
+          break;
+      }
+    },
+  },
+  coin: {
+    shape: 'circle',
+    defaults: { radius: 24 },
+    collectible: true,
+    interact(entity, contact) {
+      const circle = new Circle(contact.offset + entity.x, entity.y, entity.radius);
+      if (circle.intersectsRect(contact.playerRect)) {
+        contact.collect(entity);
+      }
+    },
+    draw(ctx, entity, { screenX, scale }) {
+      const radius = entity.radius * scale;
+      const screenY = entity.y * scale;
+      drawCoin(ctx, screenX, screenY, radius, COIN_COLORS.collected);
+    },
+  },
+};
@@ -0,0 +1,336 @@
+import { RouteSearch } from './bot.js';
+import { CEILING_Y, FLOOR_Y, PLAYER_SIZE, SCROLL_SPEED } from './constants.js';
+import { Player } from './player.js';
+import { SeededRandom, hashString } from './random.js';
+import { SEGMENT_LIBRARY } from './segments.js';
+
+// Distance (world units) over which difficulty ramps from 0 to 1.
+const RAMP_LENGTH = 40000;
+// Candidates tried per segment before falling back to a hand-made template.
+const MAX_ATTEMPTS = 4;
+// Smaller than the bot's default: a single segment only needs a yes or no.
+const VALIDATION_BEAM_WIDTH = 24;
+const SPIKE_SIZE = 64;
+const PORTAL_WIDTH = 64;
+const FULL_HEIGHT = FLOOR_Y - CEILING_Y;
+// Flat ground the validation run starts on before entering the candidate.
+const RUNWAY = { width: 300, entities: [] };
+
+// Jump physics are read from a default player so the rules follow any tuning.
+const PHYSICS = new Player();
+
+/**
+ * Seconds a jump of `strength` spends in the air before falling back to
+ * `rise` units above where it took off (0 for the same height).
+ */
+function airTime(rise, strength = PHYSICS.jumpStrength) {
+  const { gravity } = PHYSICS;
+  const peak = (strength * strength) / (2 * gravity);
+  return (strength + Math.sqrt(2 * gravity * (peak - Math.min(rise, peak)))) / gravity;
+}
+
+/**
+ * Horizontal distance a jump covers at speed setting `speed` before it is
+ * back down to `rise` units above the take-off height.
+ */
+function jumpReach(rise, speed, strength) {
+  return airTime(rise, strength) * SCROLL_SPEED * speed;
+}
+
+function snap(value) {
+  return Math.round(value / 20) * 20;
+}
+
+function between(random, min, max) {
+  return min + random.next() * (max - min);
+}
+
+function spikeRow(x, count, orientation = 'up') {
+  return Array.from({ length: count }, (_, index) => ({
+    type: 'spike',
+    x: x + index * SPIKE_SIZE,
+    y: orientation === 'up' ? FLOOR_Y - SPIKE_SIZE : CEILING_Y,
+    width: SPIKE_SIZE,
+    height: SPIKE_SIZE,
+    orientation,
+  }));
+}
+
+function fullHeightPortal(type, x, properties) {
+  return { type, x, y: CEILING_Y, width: PORTAL_WIDTH, height: FULL_HEIGHT, properties };
+}
+
+/**
+ * Widest spike cluster a jump at `speed` clears with some room to spare.
+ */
+function maxClusterSize(speed) {
+  return Math.max(1, Math.floor((jumpReach(0, speed) * 0.85 - PLAYER_SIZE) / SPIKE_SIZE));
+}
+
+/**
+ * Building blocks of a generated segment. Each places its entities from `x`
+ * and returns them with the width it used. Sizes and gaps come from the jump
+ * physics at the segment's speed and grow with `difficulty`.
+ */
+const PATTERNS = {
+  spikes(random, x, difficulty, speed) {
+    const count = Math.min(maxClusterSize(speed), 1 + Math.floor(random.next() * (1 + difficulty * 2.5)));
+    return { entities: spikeRow(x, count), width: count * SPIKE_SIZE };
+  },
+
+  /**
+   * Platforms climbing over a spike pit; each gap is a growing share of how
+   * far a jump up to the next platform reaches.
+   */
+  steps(random, x, difficulty, speed) {
+    const entities = [];
+    const count = 2 + Math.floor(random.next() * (1 + difficulty * 2));
+    let cursor = x;
+    let height = 0;
+    for (let index = 0; index < count; index += 1) {
+      const rise = index === 0 ? snap(between(random, 100, 140)) : snap(between(random, -60, 100));
+      const nextHeight = Math.min(300, Math.max(100, height + rise));
+      const reach = jumpReach(Math.max(0, nextHeight - height), speed);
+      const gap = index === 0 ? 0 : snap(Math.max(40, reach * between(random, 0.3, 0.35 + difficulty * 0.35) - PLAYER_SIZE));
+      const width = snap(between(random, 160, 240) - difficulty * 60);
+      cursor += gap;
+      entities.push({ type: 'platform', x: cursor, y: FLOOR_Y - nextHeight, width, height: 32 });
+      cursor += width;
+      height = nextHeight;
+    }
+    // The pit starts under the first platform so the stairs cannot be skipped.
+    const pitStart = x + 40;
+    const pitCount = Math.max(1, Math.floor((cursor - pitStart) / SPIKE_SIZE));
+    entities.push(...spikeRow(pitStart, pitCount));
+    return { entities, width: cursor - x };
+  },
+
+  /**
+   * Yellow orbs over a spike pit, spaced so that each orb jump reaches the
+   * next orb.
+   */
+  orbs(random, x, difficulty, speed) {
+    const count = 1 + Math.floor(random.next() * (1 + difficulty * 2));
+    const power = 1000;
+    const height = 190;
+    const entities = [];
+    let orbX = x + snap(jumpReach(height, speed) * 0.45);
+    for (let index = 0; index < count; index += 1) {
+      entities.push({ type: 'orb', x: orbX, y: FLOOR_Y - height, radius: 28, properties: { power, cooldown: 0.35 } });
+      if (index < count - 1) {
+        orbX += snap(jumpReach(0, speed, power) * between(random, 0.8, 0.95));
+      }
+    }
+    const pitStart = x + SPIKE_SIZE;
+    const pitEnd = orbX + jumpReach(0, speed, power) * 0.5;
+    entities.push(...spikeRow(pitStart, Math.max(1, Math.floor((pitEnd - pitStart) / SPIKE_SIZE))));
+    return { entities, width: snap(pitEnd - x) + SPIKE_SIZE };
+  },
+
+  /**
+   * Flips gravity, puts spike clusters on the ceiling and flips back.
+   */
+  gravity(random, x, difficulty, speed) {
+    const entities = [fullHeightPortal('portal', x, { gravity: -1, cooldown: 1 })];
+    // Falling up to the ceiling takes as long as falling down to the floor.
+    const fall = Math.sqrt((2 * (FULL_HEIGHT - PLAYER_SIZE)) / PHYSICS.gravity) * SCROLL_SPEED * speed;
+    let cursor = x + snap(fall + 240);
+    const clusters = 1 + Math.floor(random.next() * (1 + difficulty * 2));
+    for (let index = 0; index < clusters; index += 1) {
+      const count = Math.min(maxClusterSize(speed), 1 + Math.floor(random.next() * (1 + difficulty * 2)));
+      entities.push(...spikeRow(cursor, count, 'down'));
+      cursor += count * SPIKE_SIZE + snap(jumpReach(0, speed) * between(random, 1, 1.6 - difficulty * 0.4));
+    }
+    entities.push(fullHeightPortal('portal', cursor, { gravity: 1, cooldown: 1 }));
+    return { entities, width: cursor + PORTAL_WIDTH + snap(fall) - x };
+  },
+
+  /**
+   * A ship corridor of pillars growing from the floor and the ceiling in
+   * turn; the opening between them narrows with difficulty.
+   */
+  ship(random, x, difficulty, speed) {
+    const entities = [fullHeightPortal('gamemodePortal', x, { mode: 'ship', cooldown: 1 })];
+    const opening = snap(260 - difficulty * 80);
+    const pillars = 2 + Math.floor(random.next() * (1 + difficulty * 3));
+    let cursor = x + snap(300 * speed);
+    for (let index = 0; index < pillars; index += 1) {
+      const length = snap(between(random, 80, FULL_HEIGHT - opening));
+      const fromFloor = index % 2 === 0;
+      entities.push({
+        type: 'platform',
+        x: cursor,
+        y: fromFloor ? FLOOR_Y - length : CEILING_Y,
+        width: 60,
+        height: length,
+      });
+      cursor += snap(between(random, 300, 420 - difficulty * 100) * speed);
+    }
+    entities.push(fullHeightPortal('gamemodePortal', cursor, { mode: 'cube', cooldown: 1 }));
+    return { entities, width: cursor + PORTAL_WIDTH - x };
+  },
+};
+
+/**
+ * Patterns unlocked at each difficulty, with their relative weights.
+ */
+function patternWeights(difficulty) {
+  return [
+    ['spikes', 3],
+    ['steps', 2],
+    ['orbs', difficulty >= 0.15 ? 2 : 0],
+    ['gravity', difficulty >= 0.3 ? 1.5 : 0],
+    ['ship', difficulty >= 0.45 ? 1 : 0],
+  ].filter(([, weight]) => weight > 0);
+}
+
+function pickPattern(random, difficulty) {
+  const weights = patternWeights(difficulty);
+  let roll = random.next() * weights.reduce((total, [, weight]) => total + weight, 0);
+  for (const [name, weight] of weights) {
+    roll -= weight;
+    if (roll < 0) {
+      return name;
+    }
+  }
+  return weights[weights.length - 1][0];
+}
+
+function pickSpeed(random, difficulty) {
+  const speeds = difficulty < 0.25 ? [1] : difficulty < 0.6 ? [1, 2] : [1, 2, 3];
+  return speeds[Math.floor(random.next() * speeds.length)];
+}
+
+/**
+ * Builds an unvalidated segment template for `difficulty` (0 to 1). Every
+ * generated segment starts with a full-height gravity portal and a speed
+ * portal so it plays the same whatever state the previous segment left the
+ * player in, and ends with the player back in the cube on normal gravity.
+ */
+export function generateSegment(random, difficulty) {
+  const speed = pickSpeed(random, difficulty);
+  const entities = [
+    fullHeightPortal('portal', 40, { gravity: 1, cooldown: 1 }),
+    fullHeightPortal('speedPortal', 140, { speed, cooldown: 1 }),
+  ];
+  // Room to fall from the ceiling to the floor after the gravity portal.
+  let cursor = snap(340 + 200 * speed);
+  const patterns = 2 + Math.floor(difficulty * 1.5 + random.next() * 1.5);
+  for (let index = 0; index < patterns; index += 1) {
+    const pattern = PATTERNS[pickPattern(random, difficulty)](random, cursor, difficulty, speed);
+    entities.push(...pattern.entities);
+    // Landing room after each pattern, tighter as difficulty rises.
+    cursor += pattern.width + snap(jumpReach(0, speed) * between(random, 0.9, 1.6 - difficulty * 0.5));
+  }
+  return { width: snap(cursor + 200), entities, generated: { difficulty, speed } };
+}
+
+function validationSearch(template) {
+  return new RouteSearch({ templates: [RUNWAY, template], finite: true, beamWidth: VALIDATION_BEAM_WIDTH });
+}
+
+/**
+ * Supplies endless mode with segments: the hand-made `library` mixed with
+ * generated ones that get harder with distance. Every generated segment is
+ * checked with the bot and replaced by a hand-made one when no route exists.
+ *
+ * Segments depend only on the seed and the world offset they are placed at,
+ * so restoring a checkpoint or replaying a run rebuilds the same level.
+ * Checking a segment takes a while, so the game calls `prepare` every frame
+ * to build the next one a slice at a time; `templateAt` finishes the work at
+ * once when the segment is needed before it is ready.
+ */
+export class SegmentGenerator {
+  constructor(library = SEGMENT_LIBRARY) {
+    this.library = library;
+    this.seed = null;
+    this.cache = new Map();
+    this.job = null;
+  }
+
+  reset(seed) {
+    if (seed !== this.seed) {
+      this.seed = seed;
+      this.cache.clear();
+      this.job = null;
+    }
+  }
+
+  difficultyAt(offset) {
+    return Math.min(1, Math.max(0, offset / RAMP_LENGTH));
+  }
+
+  templateAt(offset) {
+    this.prepare(offset);
+    return this.cache.get(offset);
+  }
+
+  /**
+   * Forgets the segments that end before world `x`, so long runs do not keep
+   * every segment they passed. Segments only depend on the seed and offset,
+   * so going back to a checkpoint rebuilds the same ones if needed.
+   */
+  discardBefore(x) {
+    for (const [offset, template] of this.cache) {
+      if (offset + template.width < x) {
+        this.cache.delete(offset);
+      }
+    }
+  }
+
+  /**
+   * Works on the segment for `offset` for up to `maxDecisions` bot decisions
+   * and returns true once it is ready.
+   */
+  prepare(offset, maxDecisions = Infinity) {
+    if (this.cache.has(offset)) {
+      return true;
+    }
+    if (this.job?.offset !== offset) {
+      this.job = this.#startJob(offset);
+    }
+    const { job } = this;
+    let budget = maxDecisions;
+    while (!job.template && budget > 0) {
+      if (!job.search) {
+        job.candidate = generateSegment(job.random, job.difficulty);
+        job.search = validationSearch(job.candidate);
+      }
+      const decisions = Math.min(budget, 8);
+      budget -= decisions;
+      const result = job.search.advance(decisions);
+      if (result?.solved) {
+        job.template = job.candidate;
+        // Enough to tell this segment apart in reports and rebuild it.
+        Object.assign(job.template.generated, { seed: this.seed, offset });
+      } else if (result) {
+        job.attempts += 1;
+        job.search = null;
+        if (job.attempts === MAX_ATTEMPTS) {
+          job.template = this.#libraryTemplate(job.random);
+        }
+      }
+    }
+    if (job.template) {
+      this.cache.set(offset, job.template);
+      this.job = null;
+      return true;
+    }
+    return false;
+  }
+
+  #startJob(offset) {
+    const random = new SeededRandom(hashString(`${this.seed}:${offset}`));
+    const difficulty = this.difficultyAt(offset);
+    const job = { offset, random, difficulty, attempts: 0, candidate: null, search: null, template: null };
+    // Hand-made segments become rarer as the generated ones get harder.
+    if (random.next() < 0.3 * (1 - difficulty)) {
+      job.template = this.#libraryTemplate(random);
+    }
+    return job;
+  }
+
+  #libraryTemplate(random) {
+    return this.library[Math.floor(random.next() * this.library.length)];
+  }
+}
@@ -0,0 +1,57 @@
+export class Rectangle {
+  constructor(x, y, width, height) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+  }
+
+  get left() {
+    return this.x;
+  }
+
+  get right() {
+    return this.x + this.width;
+  }
+
+  get top() {
+    return this.y;
+  }
+
+  get bottom() {
+    return this.y + this.height;
+  }
+
+  get centerX() {
+    return this.x + this.width / 2;
+  }
+
+  get centerY() {
+    return this.y + this.height / 2;
+  }
+
+  intersects(other) {
+    return !(
+      this.right <= other.left ||
+      this.left >= other.right ||
+      this.bottom <= other.top ||
+      this.top >= other.bottom
+    );
+  }
+}
+
+export class Circle {
+  constructor(x, y, radius) {
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+  }
+
+  intersectsRect(rect) {
+    const closestX = Math.max(rect.left, Math.min(this.x, rect.right));
+    const closestY = Math.max(rect.top, Math.min(this.y, rect.bottom));
+    const dx = this.x - closestX;
+    const dy = this.y - closestY;
+    return dx * dx + dy * dy <= this.radius * this.radius;
+  }
+}
@@ -0,0 +1,227 @@
+import { getEntityType } from './entities.js';
+import { drawCubeIcon } from './player.js';
+import { hashString } from './random.js';
+
+export const GHOST_FORMAT_VERSION = 1;
+
+// Ticks between recorded samples; positions in between are interpolated.
+export const GHOST_SAMPLE_INTERVAL = 4;
+
+const OUTCOMES = ['died', 'completed', 'abandoned'];
+
+export class GhostValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid ghost file:\n${errors.map((error) => `- ${error}`).join('\n')}`);
+    this.name = 'GhostValidationError';
+    this.errors = errors;
+  }
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Identifies what a ghost was recorded on. Levels are keyed by their length
+ * and entities, so renaming or recolouring a level keeps its ghost; coins and
+ * other collectibles are left out too, since they do not change the course.
+ * Endless runs are keyed by seed.
+ */
+export function ghostKey(level, seed) {
+  if (!level) {
+    return `seed-${seed}`;
+  }
+  const entities = level.entities
+    .filter((entity) => !getEntityType(entity.type)?.collectible)
+    .map((entity) => ({ ...entity, properties: { ...entity.properties } }));
+  return `level-${hashString(stableStringify([level.length, entities]))}`;
+}
+
+/**
+ * Samples the player's position every `GHOST_SAMPLE_INTERVAL` ticks while a
+ * run is played.
+ */
+export class GhostRecorder {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.frames = [];
+  }
+
+  sample(simulation) {
+    if (simulation.tick % GHOST_SAMPLE_INTERVAL !== 0) {
+      return;
+    }
+    const { position, size } = simulation.player;
+    this.frames.push([round(position.x), round(position.y), round(size)]);
+  }
+
+  finish({ key, label, seed, outcome, ticks }) {
+    return new Ghost({ key, label, seed, outcome, ticks, frames: this.frames });
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * A recorded trajectory raced against the live player. Frames are
+ * `[x, y, size]` triples, one per `GHOST_SAMPLE_INTERVAL` ticks from the start
+ * of the run.
+ */
+export class Ghost {
+  constructor({ key, label, seed, outcome, ticks, frames }) {
+    this.key = key;
+    this.label = label;
+    this.seed = seed;
+    this.outcome = outcome;
+    this.ticks = ticks;
+    this.frames = frames;
+  }
+
+  get finalX() {
+    return this.frames[this.frames.length - 1]?.[0] ?? 0;
+  }
+
+  /**
+   * Interpolated ghost position at a simulation tick, or null once the
+   * recorded run has ended.
+   */
+  positionAt(tick) {
+    if (tick > this.ticks || this.frames.length === 0) {
+      return null;
+    }
+    const index = Math.min(Math.max(tick, 0) / GHOST_SAMPLE_INTERVAL, this.frames.length - 1);
+    const from = this.frames[Math.floor(index)];
+    const to = this.frames[Math.ceil(index)];
+    const t = index - Math.floor(index);
+    return {
+      x: from[0] + (to[0] - from[0]) * t,
+      y: from[1] + (to[1] - from[1]) * t,
+      size: to[2],
+    };
+  }
+
+  /**
+   * How far (world units) the player at `x` is ahead of the ghost at `tick`;
+   * negative when behind. A finished ghost counts as standing at its end.
+   */
+  leadAt(tick, x) {
+    return x - (this.positionAt(tick)?.x ?? this.finalX);
+  }
+
+  /**
+   * A completed run beats any unfinished one and faster completions beat
+   * slower ones; otherwise the run that got further wins.
+   */
+  isBeatenBy(run) {
+    if (run.outcome === 'completed' || this.outcome === 'completed') {
+      if (run.outcome !== this.outcome) {
+        return run.outcome === 'completed';
+      }
+      return run.ticks < this.ticks;
+    }
+    return run.finalX > this.finalX;
+  }
+
+  draw(ctx, colors, scale, scrollX, tick) {
+    const position = this.positionAt(tick);
+    if (!position) {
+      return;
+    }
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.translate((position.x - scrollX) * scale, position.y * scale);
+    drawCubeIcon(ctx, position.size * scale, colors);
+    ctx.restore();
+  }
+
+  toJSON() {
+    return {
+      version: GHOST_FORMAT_VERSION,
+      key: this.key,
+      label: this.label,
+      seed: this.seed,
+      outcome: this.outcome,
+      ticks: this.ticks,
+      interval: GHOST_SAMPLE_INTERVAL,
+      frames: this.frames,
+    };
+  }
+}
+
+export function isGhostData(data) {
+  return data !== null && typeof data === 'object' && Array.isArray(data.frames);
+}
+
+export function validateGhost(data) {
+  if (!isGhostData(data)) {
+    return ['ghost must be an object with a "frames" array'];
+  }
+  const errors = [];
+  if (data.version !== GHOST_FORMAT_VERSION) {
+    errors.push(`"version" must be ${GHOST_FORMAT_VERSION}`);
+  }
+  if (data.interval !== GHOST_SAMPLE_INTERVAL) {
+    errors.push(`"interval" must be ${GHOST_SAMPLE_INTERVAL}`);
+  }
+  if (typeof data.key !== 'string' || !/^(level|seed)-\d+$/.test(data.key)) {
+    errors.push('"key" must look like "level-<hash>" or "seed-<seed>"');
+  }
+  if (typeof data.label !== 'string') {
+    errors.push('"label" must be a string');
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0) {
+    errors.push('"seed" must be a non-negative integer');
+  }
+  if (!OUTCOMES.includes(data.outcome)) {
+    errors.push(`"outcome" must be one of ${OUTCOMES.map((outcome) => `"${outcome}"`).join(', ')}`);
+  }
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+    errors.push('"ticks" must be a non-negative integer');
+  }
+  const badFrame = data.frames.findIndex(
+    (frame) => !Array.isArray(frame) || frame.length !== 3 || !frame.every((value) => Number.isFinite(value))
+  );
+  if (badFrame !== -1) {
+    errors.push(`frames[${badFrame}] must be an [x, y, size] array of numbers`);
+  }
+  return errors;
+}
+
+/**
+ * Parses ghost JSON (text or an already-decoded object). Throws
+ * `GhostValidationError` listing every problem.
+ */
+export function parseGhost(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new GhostValidationError([`file is not valid JSON: ${error.message}`]);
+    }
+  }
+  const errors = validateGhost(data);
+  if (errors.length > 0) {
+    throw new GhostValidationError(errors);
+  }
+  return new Ghost({ ...data, frames: data.frames.map((frame) => [...frame]) });
+}
+
+export function serializeGhost(ghost) {
+  return `${JSON.stringify(ghost)}\n`;
+}
@@ -0,0 +1,52 @@
+import { SIMULATION_TICK_RATE } from './constants.js';
+import { ScriptedInput } from './input.js';
+import { RunScore } from './score.js';
+import { SEGMENT_LIBRARY } from './segments.js';
+import { Simulation } from './simulation.js';
+
+/**
+ * Runs a level without a browser until the player dies, reaches the end of a
+ * finite level, or `maxTime` seconds of simulated time have elapsed.
+ *
+ * @param {object} [options]
+ * @param {Array<object>} [options.templates] Segment templates forming the level.
+ * @param {boolean} [options.finite] Play the templates once and stop at the end instead of recycling them.
+ * @param {import('./generator.js').SegmentGenerator} [options.generator] Supplies the recycled segments of an endless run.
+ * @param {number} [options.seed] Seed for picking recycled segments.
+ * @param {number} [options.startX] World x the run starts from.
+ * @param {Array<{tick: number, type: 'press' | 'release'}>} [options.events] Scripted jump timeline.
+ * @param {number} [options.maxTime] Upper bound on simulated seconds.
+ * @returns {{seed: number, outcome: 'died' | 'completed' | 'timeout', deathX: number | null, distance: number, progress: number, time: number, ticks: number, coins: Array<string>}}
+ */
+export function runHeadless({ templates = SEGMENT_LIBRARY, finite = false, generator = null, seed = 0, startX = 0, events = [], maxTime = 60 } = {}) {
+  const simulation = new Simulation(templates, seed);
+  simulation.level.setTemplates(templates, {}, { finite, generator });
+  const input = new ScriptedInput(events);
+  simulation.reset(seed, startX);
+
+  const score = new RunScore();
+  const maxTicks = Math.ceil(maxTime * SIMULATION_TICK_RATE);
+  while (simulation.tick < maxTicks && simulation.player.isAlive && !simulation.isComplete) {
+    input.advanceTo(simulation.tick);
+    simulation.step(input);
+    score.recordTick(simulation.events);
+  }
+
+  const died = !simulation.player.isAlive;
+  let outcome = 'timeout';
+  if (died) {
+    outcome = 'died';
+  } else if (simulation.isComplete) {
+    outcome = 'completed';
+  }
+  return {
+    seed,
+    outcome,
+    deathX: died ? simulation.player.position.x : null,
+    distance: simulation.distance,
+    progress: simulation.progress,
+    time: simulation.time,
+    ticks: simulation.tick,
+    coins: score.coins,
+  };
+}
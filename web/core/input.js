@@ -0,0 +1,65 @@
+/**
+ * Input source that replays a scripted timeline of jump events instead of
+ * listening to the keyboard or pointer. It exposes the same interface the
+ * simulation expects from the browser `InputManager`.
+ *
+ * Each event is `{ tick, type }` where `type` is `'press'` or `'release'` and
+ * `tick` is the simulation tick on which the event takes effect.
+ */
+export class ScriptedInput {
+  constructor(events = []) {
+    this.events = [...events].sort((a, b) => a.tick - b.tick);
+    this.reset();
+  }
+
+  reset() {
+    this.cursor = 0;
+    this.jumpQueue = 0;
+    this.jumpPressedThisTick = false;
+    this.jumpHeld = false;
+  }
+
+  /**
+   * Adds an event to the end of the timeline; it must not be earlier than the
+   * last event already queued.
+   */
+  append(event) {
+    this.events.push(event);
+  }
+
+  advanceTo(tick) {
+    while (this.cursor < this.events.length && this.events[this.cursor].tick <= tick) {
+      const event = this.events[this.cursor];
+      this.cursor += 1;
+      if (event.type === 'press') {
+        if (!this.jumpHeld) {
+          this.jumpQueue += 1;
+          this.jumpPressedThisTick = true;
+        }
+        this.jumpHeld = true;
+      } else if (event.type === 'release') {
+        this.jumpHeld = false;
+      }
+    }
+  }
+
+  consumeJumpRequest() {
+    if (this.jumpQueue > 0) {
+      this.jumpQueue = 0;
+      return true;
+    }
+    return false;
+  }
+
+  isJumpHeld() {
+    return this.jumpHeld;
+  }
+
+  didPressJumpThisTick() {
+    return this.jumpPressedThisTick;
+  }
+
+  finalizeTick() {
+    this.jumpPressedThisTick = false;
+  }
+}
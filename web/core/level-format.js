@@ -0,0 +1,275 @@
+import { COLOR_CHANNELS, HEX_COLOR } from './colors.js';
+import { PLAYER_ANCHOR_X, PLAYER_SIZE } from './constants.js';
+import { entityTypeNames, getEntityType } from './entities.js';
+import { LevelTiming } from './timing.js';
+
+export const LEVEL_FORMAT_VERSION = 1;
+
+function isGroupId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+const MUSIC_KEYS = ['bpm', 'offset'];
+
+export class LevelValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid level file:\n${errors.map((error) => `- ${error}`).join('\n')}`);
+    this.name = 'LevelValidationError';
+    this.errors = errors;
+  }
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeEntity(entity, index) {
+  const type = isPlainObject(entity) && typeof entity.type === 'string' ? entity.type : 'entity';
+  let position = '';
+  if (isPlainObject(entity) && isFiniteNumber(entity.x)) {
+    position = ` at x=${entity.x}`;
+  } else if (isPlainObject(entity) && isFiniteNumber(entity.beat)) {
+    position = ` at beat ${entity.beat}`;
+  }
+  return `entities[${index}] (${type}${position})`;
+}
+
+function validateEntity(entity, index, errors) {
+  const label = describeEntity(entity, index);
+  if (!isPlainObject(entity)) {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+  // Property kinds are `'number'`, `'boolean'`, `'color'` (a hex string) or
+  // a list of allowed values.
+  const schema = getEntityType(entity.type);
+  if (!schema) {
+    errors.push(`${label}: unknown type ${JSON.stringify(entity.type)} (expected one of ${entityTypeNames().join(', ')}, or a type added by the level's modules)`);
+    return;
+  }
+  if (entity.beat !== undefined) {
+    if (entity.x !== undefined) {
+      errors.push(`${label}: give either "x" or "beat", not both`);
+    } else if (!isFiniteNumber(entity.beat)) {
+      errors.push(`${label}: "beat" must be a number`);
+    }
+  } else if (!isFiniteNumber(entity.x)) {
+    errors.push(`${label}: "x" (or "beat") must be a number`);
+  }
+  if (!isFiniteNumber(entity.y)) {
+    errors.push(`${label}: "y" must be a number`);
+  }
+  const sizeKeys = schema.shape === 'circle' ? ['radius'] : ['width', 'height'];
+  for (const key of sizeKeys) {
+    if (!isFiniteNumber(entity[key]) || entity[key] <= 0) {
+      errors.push(`${label}: "${key}" must be a positive number`);
+    }
+  }
+  if (entity.groups !== undefined && (!Array.isArray(entity.groups) || !entity.groups.every(isGroupId))) {
+    errors.push(`${label}: "groups" must be a list of positive whole numbers`);
+  }
+  if (entity.orientation !== undefined) {
+    if (!schema.orientations) {
+      errors.push(`${label}: "orientation" is not supported for ${entity.type}`);
+    } else if (!schema.orientations.includes(entity.orientation)) {
+      errors.push(`${label}: "orientation" must be one of ${schema.orientations.map((value) => `"${value}"`).join(', ')}`);
+    }
+  }
+  if (entity.properties !== undefined) {
+    if (!isPlainObject(entity.properties)) {
+      errors.push(`${label}: "properties" must be an object`);
+      return;
+    }
+    for (const [key, value] of Object.entries(entity.properties)) {
+      const kind = schema.properties[key];
+      if (!kind) {
+        errors.push(`${label}: unknown property "${key}"`);
+      } else if (Array.isArray(kind)) {
+        if (!kind.includes(value)) {
+          errors.push(`${label}: property "${key}" must be one of ${kind.map((option) => `"${option}"`).join(', ')}`);
+        }
+      } else if (kind === 'boolean') {
+        if (typeof value !== 'boolean') {
+          errors.push(`${label}: property "${key}" must be true or false`);
+        }
+      } else if (kind === 'color') {
+        if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+          errors.push(`${label}: property "${key}" must be a hex color such as "#182238"`);
+        }
+      } else if (kind === 'group') {
+        if (!isGroupId(value)) {
+          errors.push(`${label}: property "${key}" must be a positive whole number`);
+        }
+      } else if (!isFiniteNumber(value)) {
+        errors.push(`${label}: property "${key}" must be a number`);
+      }
+    }
+  }
+}
+
+/**
+ * Checks a parsed level object against the level format and returns a list of
+ * human-readable problems. An empty list means the level can be loaded. Load
+ * the level's `modules` first (see `loadEntityModules`) so its custom entity
+ * types are known.
+ */
+export function validateLevel(data) {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    return ['level must be a JSON object'];
+  }
+  if (data.version !== LEVEL_FORMAT_VERSION) {
+    errors.push(`"version" must be ${LEVEL_FORMAT_VERSION} (got ${JSON.stringify(data.version)})`);
+  }
+  if (data.metadata !== undefined) {
+    if (!isPlainObject(data.metadata)) {
+      errors.push('"metadata" must be an object');
+    } else {
+      for (const key of ['name', 'author', 'description']) {
+        if (data.metadata[key] !== undefined && typeof data.metadata[key] !== 'string') {
+          errors.push(`metadata.${key} must be a string`);
+        }
+      }
+    }
+  }
+  if (!isFiniteNumber(data.length) || data.length <= PLAYER_ANCHOR_X) {
+    errors.push(`"length" must be a number greater than ${PLAYER_ANCHOR_X}, where the player spawns`);
+  }
+  if (data.colors !== undefined) {
+    if (!isPlainObject(data.colors)) {
+      errors.push('"colors" must be an object');
+    } else {
+      for (const [key, value] of Object.entries(data.colors)) {
+        if (!COLOR_CHANNELS.includes(key)) {
+          errors.push(`colors.${key} is not a known color (expected one of ${COLOR_CHANNELS.join(', ')})`);
+        } else if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+          errors.push(`colors.${key} must be a hex color such as "#182238"`);
+        }
+      }
+    }
+  }
+  if (data.music !== undefined) {
+    if (!isPlainObject(data.music)) {
+      errors.push('"music" must be an object');
+    } else {
+      for (const key of Object.keys(data.music)) {
+        if (!MUSIC_KEYS.includes(key)) {
+          errors.push(`music.${key} is not a known setting (expected one of ${MUSIC_KEYS.join(', ')})`);
+        }
+      }
+      if (!isFiniteNumber(data.music.bpm) || data.music.bpm <= 0) {
+        errors.push('music.bpm must be a positive number');
+      }
+      if (data.music.offset !== undefined && (!isFiniteNumber(data.music.offset) || data.music.offset < 0)) {
+        errors.push('music.offset must be a number of seconds, 0 or more');
+      }
+    }
+  }
+  if (data.modules !== undefined && (!Array.isArray(data.modules) || !data.modules.every((module) => typeof module === 'string'))) {
+    errors.push('"modules" must be a list of module paths');
+  }
+  if (!Array.isArray(data.entities)) {
+    errors.push('"entities" must be an array');
+  } else {
+    data.entities.forEach((entity, index) => validateEntity(entity, index, errors));
+  }
+  return errors;
+}
+
+/**
+ * Parses level JSON (text or an already decoded object) and returns a
+ * normalised level definition. Throws `LevelValidationError` listing every
+ * problem found when the file does not match the format.
+ */
+export function parseLevel(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new LevelValidationError([`file is not valid JSON: ${error.message}`]);
+    }
+  }
+  const errors = validateLevel(data);
+  if (errors.length > 0) {
+    throw new LevelValidationError(errors);
+  }
+  const music = data.music ? { bpm: data.music.bpm, offset: data.music.offset ?? 0 } : undefined;
+  const entities = data.entities.map((entity) => ({
+    ...entity,
+    ...(entity.groups && { groups: [...entity.groups] }),
+    properties: { ...entity.properties },
+  }));
+  resolveBeats(entities, music);
+  return {
+    version: LEVEL_FORMAT_VERSION,
+    metadata: { name: 'Untitled level', author: '', description: '', ...data.metadata },
+    length: data.length,
+    colors: { ...data.colors },
+    ...(music && { music }),
+    ...(data.modules && { modules: [...data.modules] }),
+    entities,
+  };
+}
+
+/**
+ * Converts entities placed by `beat` to x positions (see `LevelTiming`).
+ * Speed portals are placed first, in beat order, since each one changes where
+ * every later beat falls; they are set so the new speed starts on the beat.
+ */
+function resolveBeats(entities, music) {
+  const placed = entities.filter((entity) => entity.beat === undefined);
+  const portals = entities
+    .filter((entity) => entity.beat !== undefined && entity.type === 'speedPortal')
+    .sort((a, b) => a.beat - b.beat);
+  for (const portal of portals) {
+    portal.x = new LevelTiming(music, placed).xAtBeat(portal.beat) + PLAYER_SIZE / 2;
+    placed.push(portal);
+  }
+  const timing = new LevelTiming(music, placed);
+  for (const entity of entities) {
+    if (entity.beat === undefined) {
+      continue;
+    }
+    entity.x ??= timing.xAtBeat(entity.beat);
+    delete entity.beat;
+  }
+}
+
+/**
+ * Converts a level definition to the segment templates used by `Level`. Pass
+ * them with `{ finite: true }` to play the level once from start to finish.
+ */
+export function levelToTemplates(level) {
+  return [{ width: level.length, entities: level.entities }];
+}
+
+/**
+ * Lays segment templates end to end and returns them as a level definition,
+ * e.g. to export the built-in segments as a starting point for authoring.
+ */
+export function templatesToLevel(templates, metadata = {}) {
+  const entities = [];
+  let offset = 0;
+  for (const template of templates) {
+    for (const entity of template.entities) {
+      entities.push({ ...entity, x: entity.x + offset });
+    }
+    offset += template.width;
+  }
+  return {
+    version: LEVEL_FORMAT_VERSION,
+    metadata: { name: 'Untitled level', author: '', description: '', ...metadata },
+    length: offset,
+    colors: {},
+    entities,
+  };
+}
+
+export function serializeLevel(level) {
+  return `${JSON.stringify(level, null, 2)}\n`;
+}
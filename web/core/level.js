@@ -0,0 +1,480 @@
+import { DEFAULT_LEVEL_COLORS } from './colors.js';
+import { CEILING_Y, FLOOR_Y, SCROLL_SPEED } from './constants.js';
+import { getEntityType } from './entities.js';
+import { Circle, Rectangle } from './geometry.js';
+import { SeededRandom } from './random.js';
+import { coinKey } from './score.js';
+import { advanceAnimations, advanceColorAnimations, startColorTrigger, startTrigger } from './triggers.js';
+
+export class SegmentEntity {
+  constructor(template) {
+    this.template = template;
+    this.type = template.type;
+    // How the type collides and draws (see `registerEntityType`); null for
+    // types that are not registered, which are then left out.
+    this.definition = getEntityType(template.type);
+    const defaults = this.definition?.defaults ?? {};
+    this.width = template.width ?? defaults.width ?? 0;
+    this.height = template.height ?? defaults.height ?? 0;
+    this.radius = template.radius ?? defaults.radius ?? 0;
+    this.orientation = template.orientation ?? defaults.orientation ?? 'up';
+    this.properties = template.properties ? { ...template.properties } : {};
+    this.groups = template.groups ?? [];
+    this.reset();
+  }
+
+  /**
+   * Puts the entity back where it was authored; triggers move, hide and fade
+   * it from there.
+   */
+  reset() {
+    this.x = this.template.x;
+    this.y = this.template.y;
+    // Position at the start of the tick, so moving platforms can tell which
+    // side the player came from.
+    this.previousX = this.x;
+    this.previousY = this.y;
+    this.enabled = true;
+    this.opacity = 1;
+    this.fired = false;
+    this.cooldown = 0;
+  }
+
+  snapshot() {
+    return {
+      x: this.x,
+      y: this.y,
+      enabled: this.enabled,
+      opacity: this.opacity,
+      fired: this.fired,
+      cooldown: this.cooldown,
+    };
+  }
+
+  restore(snapshot) {
+    Object.assign(this, snapshot);
+    this.previousX = this.x;
+    this.previousY = this.y;
+  }
+
+  updateCooldown(dt) {
+    if (this.cooldown > 0) {
+      this.cooldown = Math.max(0, this.cooldown - dt);
+    }
+  }
+}
+
+export class LevelSegment {
+  constructor(template) {
+    this.template = template;
+    this.entities = template.entities.map((entity) => new SegmentEntity(entity));
+    this.offset = 0;
+    this.animations = [];
+    this.hasTriggers = false;
+    this.hasCollectibles = false;
+  }
+
+  reset(offset) {
+    this.offset = offset;
+    this.entities.forEach((entity) => entity.reset());
+    this.animations = [];
+    this.hasTriggers = this.entities.some((entity) => entity.definition?.triggersGroups);
+    this.hasCollectibles = this.entities.some((entity) => entity.definition?.collectible);
+  }
+
+  /**
+   * Entity state for a checkpoint. Segments without triggers or collectibles
+   * only need their cooldowns, which keeps the bot's many checkpoints small.
+   */
+  snapshot() {
+    if (!this.hasTriggers && !this.hasCollectibles) {
+      return { template: this.template, offset: this.offset, cooldowns: this.entities.map((entity) => entity.cooldown) };
+    }
+    return {
+      template: this.template,
+      offset: this.offset,
+      entities: this.entities.map((entity) => entity.snapshot()),
+      animations: this.animations.map((animation) => ({ ...animation })),
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    const segment = new LevelSegment(snapshot.template);
+    segment.reset(snapshot.offset);
+    if (snapshot.entities) {
+      segment.entities.forEach((entity, index) => entity.restore(snapshot.entities[index]));
+      segment.animations = snapshot.animations.map((animation) => ({ ...animation }));
+    } else {
+      segment.entities.forEach((entity, index) => {
+        entity.cooldown = snapshot.cooldowns[index];
+      });
+    }
+    return segment;
+  }
+
+  get end() {
+    return this.offset + this.template.width;
+  }
+}
+
+export class Level {
+  constructor(templates, seed = 0) {
+    this.templates = templates;
+    this.seed = seed;
+    this.random = new SeededRandom(seed);
+    // The level's own colors, and the current ones after color triggers.
+    this.baseColors = { ...DEFAULT_LEVEL_COLORS };
+    this.colors = { ...DEFAULT_LEVEL_COLORS };
+    this.colorAnimations = [];
+    this.finite = false;
+    this.generator = null;
+    this.activeSegments = [];
+    this.baseSpeed = SCROLL_SPEED;
+    this.currentSpeed = this.baseSpeed;
+    this.scrollX = 0;
+    this.previousScrollX = 0;
+    this.viewportWorldWidth = 1280;
+    this.recycleMargin = 640;
+    // Triggers are only drawn while editing.
+    this.showTriggers = false;
+  }
+
+  /**
+   * Replaces the level content. Finite levels lay their templates out once and
+   * end at `length`; endless levels keep recycling randomly picked templates,
+   * or the segments a `generator` (see `SegmentGenerator`) supplies.
+   */
+  setTemplates(templates, colors = {}, { finite = false, generator = null } = {}) {
+    this.templates = templates;
+    this.baseColors = { ...DEFAULT_LEVEL_COLORS, ...colors };
+    this.colors = { ...this.baseColors };
+    this.colorAnimations = [];
+    this.finite = finite;
+    this.generator = finite ? null : generator;
+  }
+
+  get length() {
+    return this.templates.reduce((total, template) => total + template.width, 0);
+  }
+
+  isComplete(player) {
+    return this.finite && player.position.x >= this.length;
+  }
+
+  /**
+   * Share of the course covered, from the spawn point (0) to the end marker
+   * at `length` (1).
+   */
+  getProgress(player) {
+    if (!this.finite) {
+      return 0;
+    }
+    const course = this.length - player.anchorX;
+    return Math.min(1, Math.max(0, (player.position.x - player.anchorX) / course));
+  }
+
+  setViewport(worldWidth) {
+    this.viewportWorldWidth = worldWidth;
+    this.recycleMargin = Math.max(400, worldWidth * 0.75);
+  }
+
+  reset(seed = this.seed, startScroll = 0) {
+    this.seed = seed;
+    this.random = new SeededRandom(seed);
+    this.scrollX = startScroll;
+    this.previousScrollX = startScroll;
+    this.currentSpeed = this.baseSpeed;
+    this.colors = { ...this.baseColors };
+    this.colorAnimations = [];
+    if (this.finite) {
+      this.layoutOnce();
+      return;
+    }
+    this.generator?.reset(seed);
+    this.activeSegments = [];
+    let offset = 0;
+    for (let index = 0; index < 4; index += 1) {
+      const template = this.templates[index % this.templates.length];
+      const segment = new LevelSegment(template);
+      segment.reset(offset);
+      this.activeSegments.push(segment);
+      offset += template.width;
+    }
+  }
+
+  /**
+   * Lays the templates out end to end a single time without recycling, so the
+   * editor draws the level exactly as it is authored.
+   */
+  layoutOnce() {
+    this.activeSegments = [];
+    let offset = 0;
+    for (const template of this.templates) {
+      const segment = new LevelSegment(template);
+      segment.reset(offset);
+      this.activeSegments.push(segment);
+      offset += template.width;
+    }
+  }
+
+  snapshot() {
+    return {
+      scrollX: this.scrollX,
+      currentSpeed: this.currentSpeed,
+      randomState: this.random.state,
+      colors: { ...this.colors },
+      colorAnimations: this.colorAnimations.map((animation) => ({ ...animation })),
+      segments: this.activeSegments.map((segment) => segment.snapshot()),
+    };
+  }
+
+  restore(snapshot) {
+    this.scrollX = snapshot.scrollX;
+    this.previousScrollX = snapshot.scrollX;
+    this.currentSpeed = snapshot.currentSpeed;
+    this.random.state = snapshot.randomState;
+    this.colors = { ...snapshot.colors };
+    this.colorAnimations = snapshot.colorAnimations.map((animation) => ({ ...animation }));
+    this.activeSegments = snapshot.segments.map((saved) => LevelSegment.fromSnapshot(saved));
+  }
+
+  /**
+   * The active segment containing world `x`, or null between layouts.
+   */
+  segmentAt(x) {
+    return this.activeSegments.find((segment) => x >= segment.offset && x < segment.end) ?? null;
+  }
+
+  /**
+   * World x where the next recycled segment will be placed.
+   */
+  get nextSegmentOffset() {
+    return this.activeSegments[this.activeSegments.length - 1]?.end ?? 0;
+  }
+
+  pickNextTemplate(offset) {
+    if (this.generator) {
+      return this.generator.templateAt(offset);
+    }
+    const randomIndex = Math.floor(this.random.next() * this.templates.length);
+    return this.templates[randomIndex];
+  }
+
+  getInterpolatedScroll(alpha) {
+    return this.previousScrollX + (this.scrollX - this.previousScrollX) * alpha;
+  }
+
+  update(dt, player) {
+    this.previousScrollX = this.scrollX;
+    const targetSpeed = this.baseSpeed * player.speedFactor;
+    const smoothing = 1 - Math.exp(-dt * 6);
+    this.currentSpeed += (targetSpeed - this.currentSpeed) * smoothing;
+    this.scrollX += this.currentSpeed * dt;
+    this.#updateTriggers(dt, player);
+
+    if (this.finite) {
+      return;
+    }
+
+    const recycleThreshold = this.scrollX - this.recycleMargin;
+    let lastSegment = this.activeSegments[this.activeSegments.length - 1];
+    while (this.activeSegments.length > 0 && this.activeSegments[0].end < recycleThreshold) {
+      const recycled = this.activeSegments.shift();
+      const template = this.pickNextTemplate(lastSegment.end);
+      recycled.template = template;
+      recycled.entities = template.entities.map((entity) => new SegmentEntity(entity));
+      recycled.reset(lastSegment.end);
+      this.activeSegments.push(recycled);
+      lastSegment = recycled;
+      this.generator?.discardBefore(recycleThreshold);
+    }
+  }
+
+  /**
+   * Fires the triggers the player has reached (by the player's centre passing
+   * the trigger's x) and advances the animations they started.
+   */
+  #updateTriggers(dt, player) {
+    for (const segment of this.activeSegments) {
+      if (!segment.hasTriggers) {
+        continue;
+      }
+      for (const entity of segment.entities) {
+        if (entity.definition?.triggersGroups && !entity.fired && player.position.x >= segment.offset + entity.x) {
+          entity.fired = true;
+          if (entity.properties.action === 'color') {
+            this.#startColorTrigger(entity);
+          } else {
+            startTrigger(segment, entity);
+          }
+        }
+      }
+      advanceAnimations(segment, dt);
+    }
+    if (this.colorAnimations.length > 0) {
+      this.colorAnimations = advanceColorAnimations(this.colors, this.colorAnimations, dt);
+    }
+  }
+
+  /**
+   * Color channels are shared by the whole level. A new blend on a channel
+   * replaces any blend still running on it, starting from the current color.
+   */
+  #startColorTrigger(trigger) {
+    const animation = startColorTrigger(this.colors, trigger);
+    this.colorAnimations = this.colorAnimations.filter((running) => running.channel !== animation.channel);
+    this.colorAnimations.push(animation);
+  }
+
+  resolvePlayer(player, input, dt) {
+    let playerRect = player.getBounds();
+    const previousRect = player.getPreviousBounds();
+
+    if (player.gravityDirection === 1) {
+      if (playerRect.bottom >= FLOOR_Y) {
+        player.land(FLOOR_Y);
+        playerRect = player.getBounds();
+      } else if (player.isBoundedByCeiling && playerRect.top <= CEILING_Y) {
+        player.bonk(CEILING_Y);
+        playerRect = player.getBounds();
+      }
+    } else if (playerRect.top <= CEILING_Y) {
+      player.land(CEILING_Y);
+      playerRect = player.getBounds();
+    } else if (player.isBoundedByCeiling && playerRect.bottom >= FLOOR_Y) {
+      player.bonk(FLOOR_Y);
+      playerRect = player.getBounds();
+    }
+
+    const visibleStart = this.scrollX - this.recycleMargin;
+    const visibleEnd = this.scrollX + this.viewportWorldWidth + this.recycleMargin;
+    // Shared with every entity type's `interact` (see `registerEntityType`).
+    const contact = {
+      level: this,
+      player,
+      input,
+      segment: null,
+      offset: 0,
+      playerRect,
+      previousRect,
+      kill: (entity) => player.die(entity.type, this.#describeHazard(contact.segment, entity)),
+      // Collectibles report where they were authored, not where triggers
+      // have moved them.
+      collect: (entity) => {
+        entity.enabled = false;
+        player.emit('coin', { key: coinKey(contact.offset + entity.template.x, entity.template.y) });
+      },
+    };
+
+    for (const segment of this.activeSegments) {
+      if (segment.end < visibleStart || segment.offset > visibleEnd) {
+        continue;
+      }
+      contact.segment = segment;
+      contact.offset = segment.offset;
+      for (const entity of segment.entities) {
+        entity.updateCooldown(dt);
+        if (!entity.enabled || !entity.definition?.interact) {
+          continue;
+        }
+        entity.definition.interact(entity, contact);
+        if (!player.isAlive) {
+          return;
+        }
+      }
+    }
+
+    if (player.isGrounded && player.gravityDirection === 1 && player.getBounds().bottom > FLOOR_Y) {
+      player.land(FLOOR_Y);
+    }
+    if (player.isGrounded && player.gravityDirection === -1 && player.getBounds().top < CEILING_Y) {
+      player.land(CEILING_Y);
+    }
+  }
+
+  /**
+   * Identifies the template `segment` was laid out from: its index in
+   * `templates`, or `'generated'` for segments the generator built, which are
+   * all different (`template.generated` tells them apart).
+   */
+  templateId(segment) {
+    return segment.template.generated ? 'generated' : this.templates.indexOf(segment.template);
+  }
+
+  /**
+   * Identifies a deadly entity by its template (see `templateId`) and position
+   * within the template, so deaths can be traced back to the authored segment.
+   */
+  #describeHazard(segment, entity) {
+    return {
+      segment: this.templateId(segment),
+      entity: segment.entities.indexOf(entity),
+      x: segment.offset + entity.x,
+      y: entity.y,
+    };
+  }
+
+  /**
+   * The shape the collision code tests for an entity, in world coordinates:
+   * `rect` or `circle` by the type's shape, plus whatever else the type's
+   * `collisionShape` adds, e.g. the `triangle` of spikes and slopes. Entities
+   * that never collide, like decorations, have none (null).
+   */
+  getCollisionShape(segment, entity, playerRect = null) {
+    const definition = entity.definition;
+    if (definition?.collisionShape) {
+      return definition.collisionShape(entity, segment.offset, playerRect);
+    }
+    if (definition?.shape === 'circle') {
+      return { circle: new Circle(segment.offset + entity.x, entity.y, entity.radius) };
+    }
+    return { rect: new Rectangle(segment.offset + entity.x, entity.y, entity.width, entity.height) };
+  }
+
+  draw(ctx, scale, scrollX, viewportWidth, viewportHeight) {
+    ctx.save();
+    ctx.fillStyle = this.colors.ground;
+    const groundHeight = (viewportHeight - FLOOR_Y * scale);
+    ctx.fillRect(0, viewportHeight - groundHeight, viewportWidth, groundHeight);
+    ctx.restore();
+
+    if (this.finite) {
+      this.#drawFinishLine(ctx, (this.length - scrollX) * scale, scale);
+    }
+
+    const visibleStart = this.scrollX - this.recycleMargin;
+    const visibleEnd = this.scrollX + this.viewportWorldWidth + this.recycleMargin;
+    const view = { screenX: 0, scale, scrollX, colors: this.colors };
+
+    for (const segment of this.activeSegments) {
+      if (segment.end < visibleStart || segment.offset > visibleEnd) {
+        continue;
+      }
+      for (const entity of segment.entities) {
+        const definition = entity.definition;
+        if (!entity.enabled || !definition?.draw || (definition.editorOnly && !this.showTriggers)) {
+          continue;
+        }
+        view.screenX = (segment.offset + entity.x - scrollX) * scale;
+        ctx.save();
+        ctx.globalAlpha = entity.opacity;
+        definition.draw(ctx, entity, view);
+        ctx.restore();
+      }
+    }
+  }
+
+  #drawFinishLine(ctx, screenX, scale) {
+    const cell = 16 * scale;
+    const top = CEILING_Y * scale;
+    const rows = Math.ceil((FLOOR_Y - CEILING_Y) / 16);
+    ctx.save();
+    for (let row = 0; row < rows; row += 1) {
+      for (let column = 0; column < 2; column += 1) {
+        ctx.fillStyle = (row + column) % 2 === 0 ? '#f8f9fa' : '#1b1f3b';
+        ctx.fillRect(screenX + column * cell, top + row * cell, cell, cell);
+      }
+    }
+    ctx.restore();
+  }
+}
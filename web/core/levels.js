@@ -0,0 +1,87 @@
+import { CEILING_Y, FLOOR_Y } from './constants.js';
+import { LEVEL_FORMAT_VERSION } from './level-format.js';
+
+/**
+ * Authored levels offered on the title menu. They use the JSON level format so
+ * they can be exported, edited and shared like any loaded file.
+ */
+export const LEVEL_LIBRARY = [
+  {
+    version: LEVEL_FORMAT_VERSION,
+    metadata: { name: 'First Flight', author: 'My Own Geometry Dash', description: 'Single spikes, a few platforms and one orb.' },
+    length: 6400,
+    colors: { background: '#050c1a', ground: '#182238' },
+    entities: [
+      { type: 'spike', x: 900, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 1500, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'platform', x: 2000, y: FLOOR_Y - 120, width: 240, height: 32 },
+      { type: 'platform', x: 2340, y: FLOOR_Y - 200, width: 240, height: 32 },
+      { type: 'spike', x: 2200, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 2500, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 3200, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'orb', x: 3700, y: FLOOR_Y - 160, radius: 28, properties: { power: 1000, cooldown: 0.35 } },
+      { type: 'spike', x: 3820, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 3884, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'booster', x: 4400, y: FLOOR_Y - 80, width: 80, height: 80, properties: { multiplier: 1.3, duration: 1.2, gravityScale: 0.6 } },
+      { type: 'spike', x: 5000, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 5700, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'coin', x: 2500, y: FLOOR_Y - 232, radius: 24 },
+      { type: 'coin', x: 3820, y: FLOOR_Y - 350, radius: 24 },
+      { type: 'coin', x: 4830, y: FLOOR_Y - 360, radius: 24 },
+    ],
+  },
+  {
+    version: LEVEL_FORMAT_VERSION,
+    metadata: { name: 'Upside Down', author: 'My Own Geometry Dash', description: 'Gravity portals and ceiling spikes.' },
+    length: 7200,
+    colors: { background: '#140b21', ground: '#2a1838', layers: '#2e1a47', platform: '#3d2a52' },
+    entities: [
+      { type: 'spike', x: 800, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'platform', x: 1300, y: FLOOR_Y - 140, width: 280, height: 32 },
+      { type: 'spike', x: 1500, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'portal', x: 2200, y: FLOOR_Y - 200, width: 64, height: 200, properties: { gravity: -1, cooldown: 1 } },
+      { type: 'spike', x: 2800, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
+      { type: 'platform', x: 3300, y: CEILING_Y + 120, width: 280, height: 32 },
+      { type: 'spike', x: 3500, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
+      { type: 'spike', x: 4100, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
+      { type: 'portal', x: 4700, y: CEILING_Y, width: 60, height: 180, properties: { gravity: 1, cooldown: 1 } },
+      { type: 'spike', x: 5400, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'orb', x: 5900, y: FLOOR_Y - 160, radius: 28, properties: { power: 1000, cooldown: 0.35 } },
+      { type: 'spike', x: 6020, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 6084, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 6700, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'coin', x: 1450, y: FLOOR_Y - 172, radius: 24 },
+      { type: 'coin', x: 2885, y: CEILING_Y + 220, radius: 24 },
+      { type: 'coin', x: 6010, y: FLOOR_Y - 390, radius: 24 },
+    ],
+  },
+  {
+    version: LEVEL_FORMAT_VERSION,
+    metadata: { name: 'Shapeshifter', author: 'My Own Geometry Dash', description: 'A tour of the ship, ball, UFO and wave.' },
+    length: 8000,
+    colors: { background: '#07161a', ground: '#123036', layers: '#143d45', platform: '#24474d' },
+    entities: [
+      { type: 'spike', x: 700, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'gamemodePortal', x: 1200, y: FLOOR_Y - 240, width: 64, height: 240, properties: { mode: 'ship' } },
+      { type: 'spike', x: 1800, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 1864, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 1928, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'gamemodePortal', x: 2600, y: CEILING_Y, width: 64, height: FLOOR_Y - CEILING_Y, properties: { mode: 'ball' } },
+      { type: 'spike', x: 3300, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 3364, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 3700, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
+      { type: 'portal', x: 3800, y: CEILING_Y, width: 60, height: FLOOR_Y - CEILING_Y, properties: { gravity: 1, cooldown: 1 } },
+      { type: 'gamemodePortal', x: 4000, y: CEILING_Y, width: 64, height: FLOOR_Y - CEILING_Y, properties: { mode: 'ufo' } },
+      { type: 'spike', x: 4700, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 4764, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'gamemodePortal', x: 5400, y: CEILING_Y, width: 64, height: FLOOR_Y - CEILING_Y, properties: { mode: 'wave' } },
+      { type: 'spike', x: 6100, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 6164, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'gamemodePortal', x: 6800, y: CEILING_Y, width: 64, height: FLOOR_Y - CEILING_Y, properties: { mode: 'cube' } },
+      { type: 'spike', x: 7400, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'coin', x: 1880, y: FLOOR_Y - 130, radius: 24 },
+      { type: 'coin', x: 3760, y: FLOOR_Y - 40, radius: 24 },
+      { type: 'coin', x: 5900, y: FLOOR_Y - 240, radius: 24 },
+    ],
+  },
+];
@@ -0,0 +1,531 @@
+import { CEILING_Y, FLOOR_Y, PLAYER_ANCHOR_X, PLAYER_SIZE, SCROLL_SPEED } from './constants.js';
+import { Rectangle } from './geometry.js';
+
+/**
+ * Per-gamemode hitbox as a fraction of the player size, and whether the world
+ * ceiling is solid while in that mode (the cube can leave the screen upwards).
+ */
+export const GAMEMODES = {
+  cube: { width: 1, height: 1, ceiling: false },
+  ship: { width: 1, height: 0.6, ceiling: true },
+  ball: { width: 0.85, height: 0.85, ceiling: true },
+  ufo: { width: 1, height: 0.75, ceiling: true },
+  wave: { width: 0.4, height: 0.4, ceiling: true },
+};
+
+const FACE_COLOR = '#1b1f3b';
+
+/**
+ * Draws the cube icon centred on the origin in the level's player colors
+ * (`playerPrimary` fill, `playerSecondary` outline). The ghost uses it too.
+ */
+export function drawCubeIcon(ctx, size, colors) {
+  // Laid out on a 128-unit grid, scaled to `size`.
+  const unit = size / 128;
+  const box = (x, y, width, height, radius) => {
+    ctx.beginPath();
+    ctx.roundRect((x - 64) * unit, (y - 64) * unit, width * unit, height * unit, radius * unit);
+  };
+  ctx.save();
+  box(10, 10, 108, 108, 18);
+  ctx.fillStyle = colors.playerPrimary;
+  ctx.fill();
+  ctx.strokeStyle = colors.playerSecondary;
+  ctx.lineWidth = 10 * unit;
+  ctx.stroke();
+  ctx.fillStyle = FACE_COLOR;
+  ctx.beginPath();
+  ctx.arc((48 - 64) * unit, (48 - 64) * unit, 14 * unit, 0, Math.PI * 2);
+  ctx.fill();
+  box(68, 38, 30, 20, 6);
+  ctx.fill();
+  box(38, 70, 52, 26, 8);
+  ctx.fill();
+  ctx.restore();
+}
+
+const MINI_SCALE = 0.6;
+// Mini jumps reach roughly two thirds of the normal height.
+const MINI_JUMP_SCALE = 0.8;
+
+export class Player {
+  constructor() {
+    this.anchorX = PLAYER_ANCHOR_X;
+    this.size = PLAYER_SIZE;
+    this.position = { x: this.anchorX, y: FLOOR_Y - this.size / 2 };
+    this.previousPosition = { x: this.position.x, y: this.position.y };
+    this.velocity = { x: 0, y: 0 };
+    this.gravityDirection = 1;
+    this.gravity = 2200;
+    this.maxFallSpeed = 1800;
+    this.maxRiseSpeed = 1200;
+    this.jumpStrength = 900;
+    this.coyoteTime = 0.08;
+    this.jumpBufferTime = 0.12;
+    this.coyoteTimer = 0;
+    this.jumpBuffer = 0;
+    this.isGrounded = false;
+    this.isAlive = true;
+    this.boostTimer = 0;
+    this.speedMultiplier = 1;
+    this.speedSetting = 1;
+    this.isMini = false;
+    this.mirrored = false;
+    this.gravityScaleDuringBoost = 0.65;
+    this.gamemode = 'cube';
+    this.shipLift = 2600;
+    this.shipGravity = 1800;
+    this.shipMaxSpeed = 650;
+    this.ballFlipSpeed = 240;
+    this.ufoJumpStrength = 760;
+    this.waveSpeed = 360;
+    // Only used to angle the wave and spin the ball.
+    this.horizontalSpeed = SCROLL_SPEED;
+    this.rotation = 0;
+    // Angle of the surface the player last landed on; the cube tilts to it
+    // on slopes.
+    this.surfaceAngle = 0;
+    this.dash = null;
+    this.respawnY = this.position.y;
+    // Things that happened during the current tick (jumps, orbs, death);
+    // `Simulation.step` clears the list before every tick.
+    this.events = [];
+  }
+
+  reset() {
+    this.position = { x: this.anchorX, y: FLOOR_Y - this.size / 2 };
+    this.previousPosition = { x: this.position.x, y: this.position.y };
+    this.velocity = { x: 0, y: 0 };
+    this.gravityDirection = 1;
+    this.isGrounded = false;
+    this.isAlive = true;
+    this.coyoteTimer = 0;
+    this.jumpBuffer = 0;
+    this.boostTimer = 0;
+    this.speedMultiplier = 1;
+    this.speedSetting = 1;
+    this.isMini = false;
+    this.size = PLAYER_SIZE;
+    this.mirrored = false;
+    this.gamemode = 'cube';
+    this.rotation = 0;
+    this.surfaceAngle = 0;
+    this.dash = null;
+  }
+
+  get halfSize() {
+    return this.size / 2;
+  }
+
+  /**
+   * Combined horizontal speed factor from speed portals and boosters.
+   */
+  get speedFactor() {
+    return this.speedSetting * this.speedMultiplier;
+  }
+
+  get jumpScale() {
+    return this.isMini ? MINI_JUMP_SCALE : 1;
+  }
+
+  get hitboxWidth() {
+    return this.size * GAMEMODES[this.gamemode].width;
+  }
+
+  get hitboxHeight() {
+    return this.size * GAMEMODES[this.gamemode].height;
+  }
+
+  get halfHeight() {
+    return this.hitboxHeight / 2;
+  }
+
+  get isBoundedByCeiling() {
+    return GAMEMODES[this.gamemode].ceiling;
+  }
+
+  getBounds() {
+    return new Rectangle(
+      this.position.x - this.hitboxWidth / 2,
+      this.position.y - this.halfHeight,
+      this.hitboxWidth,
+      this.hitboxHeight
+    );
+  }
+
+  getInterpolatedPosition(alpha) {
+    return {
+      x: this.previousPosition.x + (this.position.x - this.previousPosition.x) * alpha,
+      y: this.previousPosition.y + (this.position.y - this.previousPosition.y) * alpha,
+    };
+  }
+
+  getPreviousBounds() {
+    return new Rectangle(
+      this.previousPosition.x - this.hitboxWidth / 2,
+      this.previousPosition.y - this.halfHeight,
+      this.hitboxWidth,
+      this.hitboxHeight
+    );
+  }
+
+  update(dt, input) {
+    if (!this.isAlive) {
+      return;
+    }
+
+    if (input.consumeJumpRequest()) {
+      this.jumpBuffer = this.jumpBufferTime;
+    }
+
+    this.previousPosition = { x: this.position.x, y: this.position.y };
+
+    if (this.dash) {
+      this.dash.remaining -= dt;
+      if (!input.isJumpHeld() || this.dash.remaining <= 0) {
+        this.dash = null;
+      }
+    }
+
+    const gravityScale = this.boostTimer > 0 ? this.gravityScaleDuringBoost : 1;
+    switch (this.dash ? 'dash' : this.gamemode) {
+      case 'dash':
+        this.velocity.y = this.dash.velocityY;
+        break;
+      case 'ship': {
+        const acceleration = input.isJumpHeld() ? -this.shipLift : this.shipGravity;
+        this.velocity.y += acceleration * this.gravityDirection * gravityScale * dt;
+        this.velocity.y = Math.min(this.shipMaxSpeed, Math.max(-this.shipMaxSpeed, this.velocity.y));
+        break;
+      }
+      case 'wave': {
+        const direction = input.isJumpHeld() ? -1 : 1;
+        this.velocity.y = direction * this.gravityDirection * this.waveSpeed * this.speedFactor;
+        break;
+      }
+      default:
+        this.velocity.y += this.gravity * this.gravityDirection * gravityScale * dt;
+        this.velocity.y = Math.min(this.maxFallSpeed, Math.max(-this.maxRiseSpeed, this.velocity.y));
+        break;
+    }
+
+    // The UFO jumps on every press, even in mid-air.
+    if (this.gamemode === 'ufo' && this.jumpBuffer > 0) {
+      this.performJump(this.ufoJumpStrength);
+      this.jumpBuffer = 0;
+    }
+
+    this.position.y += this.velocity.y * dt;
+    if (this.gamemode === 'ball') {
+      this.rotation += ((this.horizontalSpeed * this.speedFactor * dt) / this.halfHeight) * this.gravityDirection;
+    }
+    this.jumpBuffer = Math.max(0, this.jumpBuffer - dt);
+    this.coyoteTimer = Math.max(0, this.coyoteTimer - dt);
+
+    if (this.boostTimer > 0) {
+      this.boostTimer = Math.max(0, this.boostTimer - dt);
+      if (this.boostTimer === 0) {
+        this.speedMultiplier = 1;
+      }
+    }
+  }
+
+  postResolve() {
+    if (!this.isAlive) {
+      return;
+    }
+    if (this.jumpBuffer > 0 && (this.isGrounded || this.coyoteTimer > 0)) {
+      if (this.gamemode === 'cube') {
+        this.performJump(this.jumpStrength);
+      } else if (this.gamemode === 'ball') {
+        this.#rollOver();
+      }
+      this.jumpBuffer = 0;
+    }
+  }
+
+  #rollOver() {
+    this.emit('jump');
+    this.gravityDirection = -this.gravityDirection;
+    this.velocity.y = this.ballFlipSpeed * this.gravityDirection;
+    this.isGrounded = false;
+    this.coyoteTimer = 0;
+  }
+
+  performJump(strength) {
+    this.emit('jump');
+    this.velocity.y = -strength * this.jumpScale * this.gravityDirection;
+    this.isGrounded = false;
+    this.coyoteTimer = 0;
+  }
+
+  performOrbJump(power) {
+    this.velocity.y = -power * this.jumpScale * this.gravityDirection;
+    this.isGrounded = false;
+    this.coyoteTimer = 0;
+  }
+
+  performSlam(power) {
+    this.velocity.y = power * this.gravityDirection;
+    this.isGrounded = false;
+    this.coyoteTimer = 0;
+    this.dash = null;
+  }
+
+  /**
+   * Locks the player onto a straight line at `angle` degrees above the
+   * horizontal (relative to gravity) until jump is released or `duration`
+   * seconds pass.
+   */
+  startDash({ angle, duration }) {
+    const radians = (angle * Math.PI) / 180;
+    this.dash = {
+      velocityY: -Math.tan(radians) * this.horizontalSpeed * this.speedFactor * this.gravityDirection,
+      remaining: duration,
+    };
+    this.isGrounded = false;
+    this.coyoteTimer = 0;
+  }
+
+  land(surfaceY, angle = 0) {
+    if (this.gravityDirection === 1) {
+      this.position.y = surfaceY - this.halfHeight;
+    } else {
+      this.position.y = surfaceY + this.halfHeight;
+    }
+    this.velocity.y = 0;
+    this.isGrounded = true;
+    this.surfaceAngle = angle;
+    this.coyoteTimer = this.coyoteTime;
+  }
+
+  /**
+   * Stops the player against a surface on the side opposite to gravity (a
+   * ceiling while gravity points down) without grounding it.
+   */
+  bonk(surfaceY) {
+    if (this.gravityDirection === 1) {
+      this.position.y = surfaceY + this.halfHeight;
+      this.velocity.y = Math.max(0, this.velocity.y);
+    } else {
+      this.position.y = surfaceY - this.halfHeight;
+      this.velocity.y = Math.min(0, this.velocity.y);
+    }
+  }
+
+  setMini(isMini) {
+    if (isMini === this.isMini) {
+      return;
+    }
+    // Keep the side facing gravity where it was so a grounded player stays
+    // on its surface while changing size.
+    const previousHalfHeight = this.halfHeight;
+    this.isMini = isMini;
+    this.size = PLAYER_SIZE * (isMini ? MINI_SCALE : 1);
+    this.position.y += (previousHalfHeight - this.halfHeight) * this.gravityDirection;
+  }
+
+  setGamemode(mode) {
+    if (!GAMEMODES[mode] || mode === this.gamemode) {
+      return;
+    }
+    this.gamemode = mode;
+    this.velocity.y *= 0.5;
+    this.position.y = Math.min(FLOOR_Y - this.halfHeight, Math.max(CEILING_Y + this.halfHeight, this.position.y));
+    this.isGrounded = false;
+    this.coyoteTimer = 0;
+    this.jumpBuffer = 0;
+  }
+
+  snapshot() {
+    return {
+      position: { ...this.position },
+      velocity: { ...this.velocity },
+      gravityDirection: this.gravityDirection,
+      isGrounded: this.isGrounded,
+      surfaceAngle: this.surfaceAngle,
+      coyoteTimer: this.coyoteTimer,
+      boostTimer: this.boostTimer,
+      speedMultiplier: this.speedMultiplier,
+      speedSetting: this.speedSetting,
+      isMini: this.isMini,
+      mirrored: this.mirrored,
+      gravityScaleDuringBoost: this.gravityScaleDuringBoost,
+      gamemode: this.gamemode,
+      dash: this.dash ? { ...this.dash } : null,
+    };
+  }
+
+  restore(snapshot) {
+    this.position = { ...snapshot.position };
+    this.previousPosition = { ...snapshot.position };
+    this.velocity = { ...snapshot.velocity };
+    this.gravityDirection = snapshot.gravityDirection;
+    this.isGrounded = snapshot.isGrounded;
+    this.surfaceAngle = snapshot.surfaceAngle;
+    this.coyoteTimer = snapshot.coyoteTimer;
+    this.jumpBuffer = 0;
+    this.boostTimer = snapshot.boostTimer;
+    this.speedMultiplier = snapshot.speedMultiplier;
+    this.speedSetting = snapshot.speedSetting;
+    this.isMini = snapshot.isMini;
+    this.size = PLAYER_SIZE * (snapshot.isMini ? MINI_SCALE : 1);
+    this.mirrored = snapshot.mirrored;
+    this.gravityScaleDuringBoost = snapshot.gravityScaleDuringBoost;
+    this.gamemode = snapshot.gamemode;
+    this.dash = snapshot.dash ? { ...snapshot.dash } : null;
+    this.isAlive = true;
+  }
+
+  /**
+   * `cause` names the entity type that killed the player, e.g. `'spike'`, and
+   * `hazard` locates that entity (see `Level#describeHazard`).
+   */
+  die(cause = null, hazard = null) {
+    this.isAlive = false;
+    this.emit('death', { cause, hazard });
+  }
+
+  emit(type, detail = {}) {
+    this.events.push({ type, ...detail });
+  }
+
+  applyBoost({ multiplier, duration, gravityScale }) {
+    this.speedMultiplier = Math.max(multiplier ?? 1, this.speedMultiplier);
+    this.boostTimer = Math.max(duration ?? 0, this.boostTimer);
+    if (gravityScale) {
+      this.gravityScaleDuringBoost = gravityScale;
+    }
+  }
+
+  flipGravity(targetDirection) {
+    const newDirection = targetDirection ?? -this.gravityDirection;
+    if (newDirection === this.gravityDirection) {
+      return;
+    }
+    this.gravityDirection = newDirection;
+    this.velocity.y = 0;
+    if (newDirection === 1) {
+      this.position.y = Math.min(this.position.y, FLOOR_Y - this.halfHeight);
+    } else {
+      this.position.y = Math.max(this.position.y, CEILING_Y + this.halfHeight);
+    }
+    this.isGrounded = false;
+    this.coyoteTimer = 0;
+  }
+
+  /**
+   * Draws the player in the level's current `colors` (see `COLOR_CHANNELS`).
+   */
+  draw(ctx, colors, scale, scrollX, alpha = 1) {
+    const position = this.getInterpolatedPosition(alpha);
+    const size = this.size * scale;
+
+    ctx.save();
+    ctx.translate((position.x - scrollX) * scale, position.y * scale);
+    if (this.gamemode === 'wave') {
+      this.#drawWave(ctx, size, colors);
+      ctx.restore();
+      return;
+    }
+    if (this.gravityDirection === -1) {
+      ctx.scale(1, -1);
+    }
+    switch (this.gamemode) {
+      case 'ship':
+        this.#drawShip(ctx, size, colors);
+        break;
+      case 'ball':
+        this.#drawBall(ctx, size, colors);
+        break;
+      case 'ufo':
+        this.#drawUfo(ctx, size, colors);
+        break;
+      default:
+        // Upside down the cube is rotated rather than mirrored.
+        if (this.gravityDirection === -1) {
+          ctx.scale(-1, 1);
+        }
+        if (this.isGrounded) {
+          ctx.rotate(this.surfaceAngle);
+        }
+        drawCubeIcon(ctx, size, colors);
+        break;
+    }
+    ctx.restore();
+  }
+
+  #drawShip(ctx, size, colors) {
+    ctx.save();
+    ctx.translate(-size * 0.05, -size * 0.18);
+    drawCubeIcon(ctx, size * 0.45, colors);
+    ctx.restore();
+    ctx.fillStyle = colors.playerSecondary;
+    ctx.strokeStyle = FACE_COLOR;
+    ctx.lineWidth = Math.max(2, size * 0.05);
+    ctx.beginPath();
+    ctx.moveTo(-size / 2, -size * 0.05);
+    ctx.lineTo(size / 2, size * 0.05);
+    ctx.lineTo(size * 0.35, size * 0.3);
+    ctx.lineTo(-size * 0.45, size * 0.3);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  #drawBall(ctx, size, colors) {
+    const radius = size * GAMEMODES.ball.height * 0.5;
+    ctx.rotate(this.rotation);
+    ctx.fillStyle = colors.playerPrimary;
+    ctx.strokeStyle = colors.playerSecondary;
+    ctx.lineWidth = Math.max(2, size * 0.08);
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.strokeStyle = FACE_COLOR;
+    ctx.lineWidth = Math.max(2, size * 0.06);
+    for (let spoke = 0; spoke < 4; spoke += 1) {
+      const angle = (spoke * Math.PI) / 2;
+      ctx.beginPath();
+      ctx.moveTo(Math.cos(angle) * radius * 0.3, Math.sin(angle) * radius * 0.3);
+      ctx.lineTo(Math.cos(angle) * radius * 0.8, Math.sin(angle) * radius * 0.8);
+      ctx.stroke();
+    }
+  }
+
+  #drawUfo(ctx, size, colors) {
+    ctx.save();
+    ctx.translate(0, -size * 0.12);
+    drawCubeIcon(ctx, size * 0.42, colors);
+    ctx.restore();
+    ctx.fillStyle = 'rgba(109, 196, 255, 0.35)';
+    ctx.beginPath();
+    ctx.arc(0, -size * 0.05, size * 0.3, Math.PI, 0);
+    ctx.fill();
+    ctx.fillStyle = colors.playerSecondary;
+    ctx.strokeStyle = FACE_COLOR;
+    ctx.lineWidth = Math.max(2, size * 0.05);
+    ctx.beginPath();
+    ctx.ellipse(0, size * 0.12, size / 2, size * 0.18, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  #drawWave(ctx, size, colors) {
+    const horizontalSpeed = this.horizontalSpeed * this.speedFactor;
+    ctx.rotate(Math.atan2(this.velocity.y, horizontalSpeed));
+    const length = size * 0.6;
+    ctx.fillStyle = colors.playerPrimary;
+    ctx.strokeStyle = colors.playerSecondary;
+    ctx.lineWidth = Math.max(2, size * 0.06);
+    ctx.beginPath();
+    ctx.moveTo(length / 2, 0);
+    ctx.lineTo(-length / 2, -length * 0.35);
+    ctx.lineTo(-length * 0.3, 0);
+    ctx.lineTo(-length / 2, length * 0.35);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+}
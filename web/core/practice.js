@@ -0,0 +1,58 @@
+const AUTO_CHECKPOINT_INTERVAL = 1.5;
+
+/**
+ * Checkpoints for a practice run. Checkpoints are simulation snapshots that
+ * can be dropped manually or automatically while the player is grounded; on
+ * death the run resumes from the most recent one.
+ */
+export class PracticeSession {
+  constructor({ autoPlace = true, autoInterval = AUTO_CHECKPOINT_INTERVAL } = {}) {
+    this.autoPlace = autoPlace;
+    this.autoInterval = autoInterval;
+    this.checkpoints = [];
+  }
+
+  reset() {
+    this.checkpoints = [];
+  }
+
+  get latest() {
+    return this.checkpoints[this.checkpoints.length - 1] ?? null;
+  }
+
+  place(simulation) {
+    if (!simulation.player.isAlive) {
+      return null;
+    }
+    const checkpoint = simulation.createCheckpoint();
+    this.checkpoints.push(checkpoint);
+    return checkpoint;
+  }
+
+  removeLast() {
+    this.checkpoints.pop();
+  }
+
+  update(simulation) {
+    if (!this.autoPlace || !simulation.player.isGrounded) {
+      return;
+    }
+    const lastTime = this.latest?.time ?? 0;
+    if (simulation.time - lastTime >= this.autoInterval) {
+      this.place(simulation);
+    }
+  }
+
+  /**
+   * Restores the latest checkpoint. Returns false when there is none, in
+   * which case the caller should restart the run from the beginning.
+   */
+  respawn(simulation) {
+    const checkpoint = this.latest;
+    if (!checkpoint) {
+      return false;
+    }
+    simulation.restoreCheckpoint(checkpoint);
+    return true;
+  }
+}
@@ -0,0 +1,177 @@
+export const PROFILE_FORMAT_VERSION = 1;
+
+const TOTAL_KEYS = ['attempts', 'jumps', 'deaths', 'orbUses', 'playTime'];
+const LEVEL_KEYS = ['attempts', 'completions', 'bestProgress', 'bestDistance', 'bestTime'];
+
+export class ProfileValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid profile file:\n${errors.map((error) => `- ${error}`).join('\n')}`);
+    this.name = 'ProfileValidationError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isCoinList(value) {
+  return Array.isArray(value) && value.every((key) => typeof key === 'string');
+}
+
+function emptyLevelStats(name) {
+  return { name, attempts: 0, completions: 0, bestProgress: 0, bestDistance: 0, bestTime: 0, bestScore: 0, coins: [] };
+}
+
+/**
+ * Lifetime statistics for one player: totals across every run, deaths per
+ * hazard type and per-level bests. Levels are keyed by `ghostKey` for authored
+ * levels and `'endless'` for endless mode; distances are in metres like the
+ * HUD and times in seconds. `coins` lists the coins (by `coinKey`) the
+ * player has collected on runs that completed the level.
+ */
+export class Profile {
+  constructor({ totals = {}, deathsByHazard = {}, levels = {} } = {}) {
+    this.totals = { attempts: 0, jumps: 0, deaths: 0, orbUses: 0, playTime: 0, ...totals };
+    this.deathsByHazard = { ...deathsByHazard };
+    this.levels = {};
+    for (const [key, stats] of Object.entries(levels)) {
+      this.levels[key] = { ...emptyLevelStats(stats.name), ...stats };
+    }
+  }
+
+  level(key, name) {
+    this.levels[key] ??= emptyLevelStats(name);
+    this.levels[key].name = name;
+    return this.levels[key];
+  }
+
+  recordAttempt(key, name) {
+    this.totals.attempts += 1;
+    this.level(key, name).attempts += 1;
+  }
+
+  /**
+   * Counts the events a simulation tick emitted and the time it covered.
+   */
+  recordTick(events, dt) {
+    this.totals.playTime += dt;
+    for (const event of events) {
+      switch (event.type) {
+        case 'jump':
+          this.totals.jumps += 1;
+          break;
+        case 'orb':
+          this.totals.orbUses += 1;
+          break;
+        case 'death': {
+          const cause = event.cause ?? 'unknown';
+          this.totals.deaths += 1;
+          this.deathsByHazard[cause] = (this.deathsByHazard[cause] ?? 0) + 1;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Updates the bests for a finished run. `bestTime` is the time of the
+   * furthest run in endless mode and the fastest completion for levels. Coins
+   * only count once the run that collected them reaches the end.
+   */
+  recordRun(key, name, { distance, progress, time, completed, score = 0, coins = [] }) {
+    const stats = this.level(key, name);
+    stats.bestScore = Math.max(stats.bestScore, score);
+    if (completed) {
+      stats.completions += 1;
+      stats.coins = [...new Set([...stats.coins, ...coins])];
+      if (stats.bestProgress < 1 || time < stats.bestTime) {
+        stats.bestTime = time;
+      }
+    } else if (distance > stats.bestDistance && stats.bestProgress < 1) {
+      stats.bestTime = time;
+    }
+    stats.bestDistance = Math.max(stats.bestDistance, distance);
+    stats.bestProgress = Math.max(stats.bestProgress, progress);
+  }
+
+  toJSON() {
+    return {
+      version: PROFILE_FORMAT_VERSION,
+      totals: this.totals,
+      deathsByHazard: this.deathsByHazard,
+      levels: this.levels,
+    };
+  }
+}
+
+export function isProfileData(data) {
+  return isPlainObject(data) && isPlainObject(data.totals) && isPlainObject(data.levels);
+}
+
+export function validateProfile(data) {
+  if (!isProfileData(data)) {
+    return ['profile must be an object with "totals" and "levels"'];
+  }
+  const errors = [];
+  if (data.version !== PROFILE_FORMAT_VERSION) {
+    errors.push(`"version" must be ${PROFILE_FORMAT_VERSION}`);
+  }
+  for (const key of TOTAL_KEYS) {
+    if (!isCount(data.totals[key])) {
+      errors.push(`totals.${key} must be a non-negative number`);
+    }
+  }
+  if (!isPlainObject(data.deathsByHazard) || !Object.values(data.deathsByHazard).every(isCount)) {
+    errors.push('"deathsByHazard" must map hazard types to non-negative numbers');
+  }
+  for (const [key, stats] of Object.entries(data.levels)) {
+    if (!isPlainObject(stats) || typeof stats.name !== 'string') {
+      errors.push(`levels["${key}"] must be an object with a "name"`);
+      continue;
+    }
+    for (const field of LEVEL_KEYS) {
+      if (!isCount(stats[field])) {
+        errors.push(`levels["${key}"].${field} must be a non-negative number`);
+      }
+    }
+    // Profiles from before scoring have neither field.
+    if (stats.bestScore !== undefined && !isCount(stats.bestScore)) {
+      errors.push(`levels["${key}"].bestScore must be a non-negative number`);
+    }
+    if (stats.coins !== undefined && !isCoinList(stats.coins)) {
+      errors.push(`levels["${key}"].coins must be a list of coin positions such as "2500,368"`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parses profile JSON (text or an already-decoded object). Throws
+ * `ProfileValidationError` listing every problem.
+ */
+export function parseProfile(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new ProfileValidationError([`file is not valid JSON: ${error.message}`]);
+    }
+  }
+  const errors = validateProfile(data);
+  if (errors.length > 0) {
+    throw new ProfileValidationError(errors);
+  }
+  return new Profile(data);
+}
+
+export function serializeProfile(profile) {
+  return `${JSON.stringify(profile, null, 2)}\n`;
+}
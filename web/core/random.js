@@ -0,0 +1,48 @@
+const SEED_RANGE = 2 ** 32;
+
+/**
+ * Converts a user supplied seed (number or arbitrary string) to an unsigned
+ * 32-bit integer. Numeric strings map to their value so `?seed=42` and
+ * `seed: 42` produce the same run.
+ */
+export function normalizeSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) % SEED_RANGE;
+  }
+  return hashString(text);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ */
+export function hashString(text) {
+  let hash = 2166136261;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+export function createRandomSeed() {
+  return Math.floor(Math.random() * SEED_RANGE);
+}
+
+/**
+ * Deterministic generator (mulberry32) producing floats in [0, 1). Its whole
+ * state is the public `state` integer, so a run can be snapshotted and resumed.
+ */
+export class SeededRandom {
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  }
+}
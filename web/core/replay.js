@@ -0,0 +1,158 @@
+import { ScriptedInput } from './input.js';
+import { parseLevel, validateLevel } from './level-format.js';
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+const EVENT_TYPES = ['press', 'release'];
+const OUTCOMES = ['died', 'completed', 'abandoned'];
+
+export class ReplayValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid replay file:\n${errors.map((error) => `- ${error}`).join('\n')}`);
+    this.name = 'ReplayValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Input source that records a run while it is played. Each tick it samples
+ * the live input (keyboard and pointer) into `{ tick, type }` events and feeds
+ * the simulation from those events, so playing the recording back through a
+ * `ScriptedInput` reproduces the run exactly.
+ */
+export class ReplayRecorder {
+  constructor(source) {
+    this.source = source;
+    this.reset();
+  }
+
+  reset() {
+    this.playback = new ScriptedInput();
+    this.held = false;
+  }
+
+  get events() {
+    return this.playback.events;
+  }
+
+  advanceTo(tick) {
+    const pressed = this.source.consumeJumpRequest();
+    const held = this.source.isJumpHeld();
+    if (pressed) {
+      // A press while the recording still holds jump (e.g. clicking while a
+      // key is down) needs a release first to count as a new press.
+      if (this.held) {
+        this.#record(tick, 'release');
+      }
+      this.#record(tick, 'press');
+      this.held = true;
+    }
+    if (this.held !== held) {
+      this.#record(tick, held ? 'press' : 'release');
+      this.held = held;
+    }
+    this.source.finalizeTick();
+    this.playback.advanceTo(tick);
+  }
+
+  #record(tick, type) {
+    this.playback.append({ tick, type });
+  }
+
+  consumeJumpRequest() {
+    return this.playback.consumeJumpRequest();
+  }
+
+  isJumpHeld() {
+    return this.playback.isJumpHeld();
+  }
+
+  didPressJumpThisTick() {
+    return this.playback.didPressJumpThisTick();
+  }
+
+  finalizeTick() {
+    this.playback.finalizeTick();
+  }
+}
+
+/**
+ * Bundles a finished run into a replay. `level` is the level definition that
+ * was played, or `null` for an endless run over the built-in segments.
+ */
+export function createReplay({ level = null, seed, startX = 0, events, outcome, ticks }) {
+  return {
+    version: REPLAY_FORMAT_VERSION,
+    level,
+    seed,
+    startX,
+    outcome,
+    ticks,
+    events: events.map(({ tick, type }) => ({ tick, type })),
+  };
+}
+
+export function isReplayData(data) {
+  return data !== null && typeof data === 'object' && Array.isArray(data.events);
+}
+
+export function validateReplay(data) {
+  if (!isReplayData(data)) {
+    return ['replay must be an object with an "events" array'];
+  }
+  const errors = [];
+  if (data.version !== REPLAY_FORMAT_VERSION) {
+    errors.push(`"version" must be ${REPLAY_FORMAT_VERSION}`);
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0) {
+    errors.push('"seed" must be a non-negative integer');
+  }
+  if (typeof data.startX !== 'number' || !Number.isFinite(data.startX)) {
+    errors.push('"startX" must be a number');
+  }
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+    errors.push('"ticks" must be a non-negative integer');
+  }
+  if (!OUTCOMES.includes(data.outcome)) {
+    errors.push(`"outcome" must be one of ${OUTCOMES.map((outcome) => `"${outcome}"`).join(', ')}`);
+  }
+  if (data.level !== null) {
+    errors.push(...validateLevel(data.level).map((error) => `level: ${error}`));
+  }
+  let previousTick = 0;
+  data.events.forEach((event, index) => {
+    if (!Number.isInteger(event?.tick) || event.tick < previousTick) {
+      errors.push(`events[${index}]: "tick" must be an integer no earlier than the previous event`);
+    } else {
+      previousTick = event.tick;
+    }
+    if (!EVENT_TYPES.includes(event?.type)) {
+      errors.push(`events[${index}]: "type" must be "press" or "release"`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Parses replay JSON (text or an already-decoded object) and returns a
+ * normalized replay. Throws `ReplayValidationError` listing every problem.
+ */
+export function parseReplay(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new ReplayValidationError([`file is not valid JSON: ${error.message}`]);
+    }
+  }
+  const errors = validateReplay(data);
+  if (errors.length > 0) {
+    throw new ReplayValidationError(errors);
+  }
+  return createReplay({ ...data, level: data.level === null ? null : parseLevel(data.level) });
+}
+
+export function serializeReplay(replay) {
+  return `${JSON.stringify(replay)}\n`;
+}
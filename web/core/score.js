@@ -0,0 +1,75 @@
+import { getEntityType } from './entities.js';
+
+/**
+ * Points for each part of a run's score: every metre travelled, coin and orb
+ * hit, finishing a level, and finishing it without dying since it was opened.
+ */
+export const SCORE_VALUES = {
+  metre: 10,
+  coin: 500,
+  orb: 50,
+  completion: 1000,
+  noDeath: 2000,
+};
+
+/**
+ * Identifies a coin by where it was authored in the world, so saved coins
+ * still match when other entities are added, removed or reordered.
+ */
+export function coinKey(x, y) {
+  return `${x},${y}`;
+}
+
+/**
+ * Keys (see `coinKey`) of the coins, the entities of a `collectible` type, in
+ * a level definition, in the order they appear from left to right.
+ */
+export function levelCoins(definition) {
+  if (!definition) {
+    return [];
+  }
+  return definition.entities
+    .filter((entity) => getEntityType(entity.type)?.collectible)
+    .sort((a, b) => a.x - b.x)
+    .map((entity) => coinKey(entity.x, entity.y));
+}
+
+/**
+ * What one run has collected, counted from the events its simulation emits:
+ * the keys of the coins touched and the orbs hit.
+ */
+export class RunScore {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.coins = [];
+    this.orbs = 0;
+  }
+
+  recordTick(events) {
+    for (const event of events) {
+      if (event.type === 'coin' && !this.coins.includes(event.key)) {
+        this.coins.push(event.key);
+      } else if (event.type === 'orb') {
+        this.orbs += 1;
+      }
+    }
+  }
+
+  /**
+   * Points by source and their `total` for a run that covered `distance`
+   * metres. The no-death bonus goes to levels completed on the first attempt.
+   */
+  breakdown({ distance, completed = false, attempt = 1 }) {
+    const points = {
+      distance: Math.floor(distance) * SCORE_VALUES.metre,
+      coins: this.coins.length * SCORE_VALUES.coin,
+      orbs: this.orbs * SCORE_VALUES.orb,
+      completion: completed ? SCORE_VALUES.completion : 0,
+      noDeath: completed && attempt === 1 ? SCORE_VALUES.noDeath : 0,
+    };
+    return { ...points, total: Object.values(points).reduce((sum, value) => sum + value, 0) };
+  }
+}
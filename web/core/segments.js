@@ -0,0 +1,72 @@
+import { CEILING_Y, FLOOR_Y } from './constants.js';
+
+export const SEGMENT_LIBRARY = [
+  {
+    width: 1400,
+    entities: [
+      { type: 'platform', x: 280, y: FLOOR_Y - 160, width: 200, height: 32, properties: { passThrough: true } },
+      { type: 'platform', x: 620, y: FLOOR_Y - 220, width: 220, height: 32 },
+      { type: 'platform', x: 940, y: FLOOR_Y - 320, width: 180, height: 32 },
+      { type: 'spike', x: 540, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 860, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      {
+        type: 'booster',
+        x: 320,
+        y: FLOOR_Y - 120,
+        width: 80,
+        height: 80,
+        properties: { multiplier: 1.35, duration: 1.2, gravityScale: 0.55 },
+      },
+      { type: 'orb', x: 720, y: FLOOR_Y - 240, radius: 28, properties: { power: 1050, cooldown: 0.35 } },
+      { type: 'portal', x: 1120, y: FLOOR_Y - 200, width: 64, height: 200, properties: { gravity: -1, cooldown: 1 } },
+    ],
+  },
+  {
+    width: 1200,
+    entities: [
+      { type: 'platform', x: 120, y: CEILING_Y + 120, width: 240, height: 32 },
+      { type: 'platform', x: 480, y: CEILING_Y + 180, width: 200, height: 32 },
+      { type: 'platform', x: 820, y: CEILING_Y + 130, width: 280, height: 32 },
+      { type: 'spike', x: 360, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
+      { type: 'spike', x: 700, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
+      { type: 'orb', x: 520, y: CEILING_Y + 220, radius: 26, properties: { power: 980, cooldown: 0.4 } },
+      { type: 'booster', x: 900, y: CEILING_Y + 150, width: 76, height: 76, properties: { multiplier: 1.2, duration: 1.1, gravityScale: 0.75 } },
+      { type: 'portal', x: 1000, y: CEILING_Y, width: 60, height: 180, properties: { gravity: 1, cooldown: 1 } },
+    ],
+  },
+  {
+    width: 1360,
+    entities: [
+      { type: 'platform', x: 180, y: FLOOR_Y - 140, width: 200, height: 32, properties: { passThrough: true } },
+      { type: 'platform', x: 520, y: FLOOR_Y - 220, width: 240, height: 32 },
+      { type: 'platform', x: 880, y: FLOOR_Y - 160, width: 200, height: 32 },
+      { type: 'platform', x: 1080, y: FLOOR_Y - 260, width: 180, height: 32 },
+      { type: 'spike', x: 420, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 760, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 1020, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'orb', x: 640, y: FLOOR_Y - 260, radius: 30, properties: { power: 1100, cooldown: 0.3 } },
+      {
+        type: 'booster',
+        x: 260,
+        y: FLOOR_Y - 120,
+        width: 80,
+        height: 80,
+        properties: { multiplier: 1.25, duration: 1.4, gravityScale: 0.6 },
+      },
+    ],
+  },
+  {
+    width: 1280,
+    entities: [
+      { type: 'platform', x: 160, y: FLOOR_Y - 200, width: 180, height: 32 },
+      { type: 'platform', x: 480, y: FLOOR_Y - 280, width: 200, height: 32 },
+      { type: 'platform', x: 800, y: FLOOR_Y - 220, width: 220, height: 32 },
+      { type: 'platform', x: 1080, y: FLOOR_Y - 320, width: 160, height: 32 },
+      { type: 'orb', x: 380, y: FLOOR_Y - 320, radius: 26, properties: { power: 1120, cooldown: 0.35 } },
+      { type: 'orb', x: 960, y: FLOOR_Y - 360, radius: 28, properties: { power: 1180, cooldown: 0.35 } },
+      { type: 'spike', x: 560, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'spike', x: 900, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
+      { type: 'booster', x: 680, y: FLOOR_Y - 120, width: 80, height: 80, properties: { multiplier: 1.3, duration: 1.3, gravityScale: 0.6 } },
+    ],
+  },
+];
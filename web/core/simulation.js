@@ -0,0 +1,82 @@
+import { TICK_DURATION } from './constants.js';
+import { Level } from './level.js';
+import { Player } from './player.js';
+
+/**
+ * Owns the player and level and advances them one fixed tick at a time. Both
+ * the browser game loop and the headless runner drive the same instance so a
+ * run behaves identically in either environment.
+ */
+export class Simulation {
+  constructor(templates, seed = 0) {
+    this.player = new Player();
+    this.level = new Level(templates, seed);
+    this.tick = 0;
+    this.time = 0;
+  }
+
+  get seed() {
+    return this.level.seed;
+  }
+
+  reset(seed = this.level.seed, startX = 0) {
+    this.level.reset(seed, Math.max(0, startX - this.player.anchorX));
+    this.player.reset();
+    this.player.events.length = 0;
+    this.tick = 0;
+    this.time = 0;
+  }
+
+  /**
+   * Events emitted during the last tick, e.g. `{ type: 'jump' }`,
+   * `{ type: 'portal', kind: 'speedPortal' }` or
+   * `{ type: 'death', cause: 'spike' }`.
+   */
+  get events() {
+    return this.player.events;
+  }
+
+  get distance() {
+    return this.level.scrollX / 10;
+  }
+
+  get progress() {
+    return this.level.getProgress(this.player);
+  }
+
+  get isComplete() {
+    return this.level.isComplete(this.player);
+  }
+
+  /**
+   * Captures everything needed to resume the run from this exact tick:
+   * player physics, gravity, boost, scroll position and entity cooldowns.
+   */
+  createCheckpoint() {
+    return {
+      tick: this.tick,
+      time: this.time,
+      player: this.player.snapshot(),
+      level: this.level.snapshot(),
+    };
+  }
+
+  restoreCheckpoint(checkpoint) {
+    this.tick = checkpoint.tick;
+    this.time = checkpoint.time;
+    this.player.restore(checkpoint.player);
+    this.level.restore(checkpoint.level);
+  }
+
+  step(input, dt = TICK_DURATION) {
+    this.player.events.length = 0;
+    this.player.update(dt, input);
+    this.player.position.x = this.level.scrollX + this.player.anchorX;
+    this.level.update(dt, this.player);
+    this.level.resolvePlayer(this.player, input, dt);
+    this.player.postResolve();
+    input.finalizeTick();
+    this.tick += 1;
+    this.time += dt;
+  }
+}
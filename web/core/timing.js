@@ -0,0 +1,90 @@
+import { PLAYER_ANCHOR_X, PLAYER_SIZE, SCROLL_SPEED } from './constants.js';
+
+// Tempo of the built-in track, used by levels that do not declare their own.
+export const DEFAULT_BPM = 128;
+
+/**
+ * Maps level x positions to song time and beats for a level played to music.
+ * The player reaches `PLAYER_ANCHOR_X` at song time `offset` (seconds) and
+ * then moves at the scroll speed set by the speed portals passed so far, so a
+ * beat lands at a different x depending on the speed at that point. Boosters
+ * are temporary and ignored.
+ */
+export class LevelTiming {
+  constructor({ bpm = DEFAULT_BPM, offset = 0 } = {}, entities = []) {
+    this.bpm = bpm;
+    this.offset = offset;
+    // Sections of constant speed, ordered by x. A speed portal takes effect
+    // as soon as the front of the player touches it.
+    this.sections = [{ x: PLAYER_ANCHOR_X, time: 0, speed: SCROLL_SPEED }];
+    const portals = entities
+      .filter((entity) => entity.type === 'speedPortal' && entity.x - PLAYER_SIZE / 2 > PLAYER_ANCHOR_X)
+      .sort((a, b) => a.x - b.x);
+    for (const portal of portals) {
+      const last = this.sections[this.sections.length - 1];
+      const x = portal.x - PLAYER_SIZE / 2;
+      this.sections.push({
+        x,
+        time: last.time + (x - last.x) / last.speed,
+        speed: SCROLL_SPEED * (portal.properties?.speed ?? 1),
+      });
+    }
+  }
+
+  get beatDuration() {
+    return 60 / this.bpm;
+  }
+
+  /**
+   * Seconds the player needs from the start of the level to reach `x`
+   * (negative before the start).
+   */
+  timeAt(x) {
+    let section = this.sections[0];
+    for (const candidate of this.sections) {
+      if (candidate.x > x) {
+        break;
+      }
+      section = candidate;
+    }
+    return section.time + (x - section.x) / section.speed;
+  }
+
+  xAtTime(time) {
+    let section = this.sections[0];
+    for (const candidate of this.sections) {
+      if (candidate.time > time) {
+        break;
+      }
+      section = candidate;
+    }
+    return section.x + (time - section.time) * section.speed;
+  }
+
+  songTimeAt(x) {
+    return this.offset + this.timeAt(x);
+  }
+
+  beatAt(x) {
+    return this.songTimeAt(x) / this.beatDuration;
+  }
+
+  xAtBeat(beat) {
+    return this.xAtTime(beat * this.beatDuration - this.offset);
+  }
+
+  /**
+   * Every whole beat between `fromX` and `toX` as `{ beat, x }`, e.g. to draw
+   * beat lines.
+   */
+  beatsBetween(fromX, toX) {
+    const beats = [];
+    for (let beat = Math.ceil(this.beatAt(fromX)); ; beat += 1) {
+      const x = this.xAtBeat(beat);
+      if (x > toX) {
+        return beats;
+      }
+      beats.push({ beat, x });
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import { COLOR_CHANNELS, mixColors } from './colors.js';
+
+/**
+ * Easing curves for trigger animations, mapping linear progress (0 to 1) to
+ * eased progress.
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => 1 - (1 - t) * (1 - t),
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+  bounce: (t) => {
+    // Standard bounce-out: three shrinking bounces settling on 1.
+    const n = 7.5625;
+    const d = 2.75;
+    if (t < 1 / d) {
+      return n * t * t;
+    }
+    if (t < 2 / d) {
+      const u = t - 1.5 / d;
+      return n * u * u + 0.75;
+    }
+    if (t < 2.5 / d) {
+      const u = t - 2.25 / d;
+      return n * u * u + 0.9375;
+    }
+    const u = t - 2.625 / d;
+    return n * u * u + 0.984375;
+  },
+};
+
+export const TRIGGER_ACTIONS = ['move', 'rotate', 'toggle', 'fade', 'color'];
+
+/**
+ * Indices of the entities in `segment` tagged with `group`. Groups are local
+ * to a segment, so endless templates can reuse the same IDs.
+ */
+function groupMembers(segment, group) {
+  const members = [];
+  segment.entities.forEach((entity, index) => {
+    if (!entity.definition?.triggersGroups && entity.groups.includes(group)) {
+      members.push(index);
+    }
+  });
+  return members;
+}
+
+function centerOf(entity) {
+  return entity.definition?.shape === 'circle'
+    ? { x: entity.x, y: entity.y }
+    : { x: entity.x + entity.width / 2, y: entity.y + entity.height / 2 };
+}
+
+/**
+ * Starts the animation `trigger` describes on its group. Toggles apply at
+ * once; moves, rotations and fades run over `duration` seconds (see
+ * `advanceAnimations`).
+ */
+export function startTrigger(segment, trigger) {
+  const { properties } = trigger;
+  const targets = groupMembers(segment, properties.group ?? 1);
+  const action = properties.action ?? 'move';
+  if (action === 'toggle') {
+    for (const index of targets) {
+      segment.entities[index].enabled = Boolean(properties.show);
+    }
+    return;
+  }
+  const animation = {
+    action,
+    targets,
+    duration: Math.max(0, properties.duration ?? 0.5),
+    easing: EASINGS[properties.easing] ? properties.easing : 'linear',
+    elapsed: 0,
+    progress: 0,
+  };
+  if (action === 'move') {
+    animation.moveX = properties.moveX ?? 0;
+    animation.moveY = properties.moveY ?? 0;
+  } else if (action === 'rotate') {
+    animation.angle = ((properties.angle ?? 90) * Math.PI) / 180;
+    animation.pivot = properties.centerX !== undefined && properties.centerY !== undefined
+      ? { x: properties.centerX, y: properties.centerY }
+      : groupCenter(segment, targets);
+  } else {
+    animation.from = targets.map((index) => segment.entities[index].opacity);
+    animation.to = Math.min(1, Math.max(0, properties.opacity ?? 0));
+  }
+  segment.animations.push(animation);
+}
+
+function groupCenter(segment, targets) {
+  if (targets.length === 0) {
+    return { x: 0, y: 0 };
+  }
+  const centers = targets.map((index) => centerOf(segment.entities[index]));
+  const xs = centers.map((center) => center.x);
+  const ys = centers.map((center) => center.y);
+  return {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2,
+  };
+}
+
+/**
+ * Advances every running animation in `segment` by `dt`. Moves and rotations
+ * are applied as the change in eased progress since the last tick, so
+ * animations on the same group add up. Rotations swing the members around the
+ * pivot but keep each shape upright, so collisions stay axis-aligned.
+ */
+export function advanceAnimations(segment, dt) {
+  for (const entity of segment.entities) {
+    entity.previousX = entity.x;
+    entity.previousY = entity.y;
+  }
+  for (const animation of segment.animations) {
+    animation.elapsed += dt;
+    const linear = animation.duration === 0 ? 1 : Math.min(1, animation.elapsed / animation.duration);
+    const eased = EASINGS[animation.easing](linear);
+    const delta = eased - animation.progress;
+    animation.progress = eased;
+    animation.targets.forEach((index, position) => {
+      const entity = segment.entities[index];
+      switch (animation.action) {
+        case 'move':
+          entity.x += animation.moveX * delta;
+          entity.y += animation.moveY * delta;
+          break;
+        case 'rotate': {
+          const center = centerOf(entity);
+          const cos = Math.cos(animation.angle * delta);
+          const sin = Math.sin(animation.angle * delta);
+          const dx = center.x - animation.pivot.x;
+          const dy = center.y - animation.pivot.y;
+          entity.x += animation.pivot.x + dx * cos - dy * sin - center.x;
+          entity.y += animation.pivot.y + dx * sin + dy * cos - center.y;
+          break;
+        }
+        case 'fade':
+          entity.opacity = animation.from[position] + (animation.to - animation.from[position]) * eased;
+          break;
+        default:
+          break;
+      }
+    });
+  }
+  segment.animations = segment.animations.filter((animation) => animation.elapsed < animation.duration);
+}
+
+/**
+ * Starts blending one of the level's color channels (see `COLOR_CHANNELS`)
+ * from its current value to the trigger's `color`.
+ */
+export function startColorTrigger(colors, trigger) {
+  const { properties } = trigger;
+  const channel = COLOR_CHANNELS.includes(properties.channel) ? properties.channel : 'background';
+  return {
+    channel,
+    from: colors[channel],
+    to: properties.color ?? colors[channel],
+    duration: Math.max(0, properties.duration ?? 0.5),
+    easing: EASINGS[properties.easing] ? properties.easing : 'linear',
+    elapsed: 0,
+  };
+}
+
+/**
+ * Advances color blends by `dt`, writing the blended values into `colors`,
+ * and returns the blends that are still running.
+ */
+export function advanceColorAnimations(colors, animations, dt) {
+  for (const animation of animations) {
+    animation.elapsed += dt;
+    const linear = animation.duration === 0 ? 1 : Math.min(1, animation.elapsed / animation.duration);
+    colors[animation.channel] = mixColors(animation.from, animation.to, EASINGS[animation.easing](linear));
+  }
+  return animations.filter((animation) => animation.elapsed < animation.duration);
+}
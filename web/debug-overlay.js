@@ -0,0 +1,277 @@
+import { TICK_DURATION } from './core/constants.js';
+
+const HISTORY_LENGTH = 180;
+const TIME_SCALES = [1, 0.5, 0.25, 0.1];
+
+const SHAPE_COLORS = {
+  platform: '#7bd88f',
+  spike: '#ff5f5f',
+  miniSpike: '#ff5f5f',
+  saw: '#ff5f5f',
+  slope: '#7bd88f',
+  orb: '#ffc947',
+  pad: '#ff9f1c',
+  booster: '#5bc0eb',
+  trigger: '#f8f9fa',
+};
+const DEFAULT_SHAPE_COLOR = '#c77dff';
+
+function segmentLabel(level, segment) {
+  const { generated } = segment.template;
+  if (generated) {
+    return `generated (difficulty ${Math.round(generated.difficulty * 100)}%, ${generated.speed}x)`;
+  }
+  return `segment ${level.templateId(segment)}`;
+}
+
+/**
+ * Developer overlay (F3) that draws what the collision code actually tests
+ * and graphs frame timing. While it is open the game can run in slow motion
+ * or be paused and advanced one simulation tick at a time.
+ */
+export class DebugOverlay {
+  constructor() {
+    this.enabled = false;
+    this.timeScaleIndex = 0;
+    this.paused = false;
+    this.stepRequested = false;
+    this.frameTimes = [];
+    this.ticksPerFrame = [];
+  }
+
+  get timeScale() {
+    return this.enabled ? TIME_SCALES[this.timeScaleIndex] : 1;
+  }
+
+  get isPaused() {
+    return this.enabled && this.paused;
+  }
+
+  /**
+   * Handles the overlay's keys and returns true when the key was used: F3
+   * toggles the overlay, and while it is open `-` / `=` change the speed,
+   * `,` pauses and `.` advances a single tick.
+   */
+  handleKey(code) {
+    if (code === 'F3') {
+      this.enabled = !this.enabled;
+      return true;
+    }
+    if (!this.enabled) {
+      return false;
+    }
+    switch (code) {
+      case 'Minus':
+        this.timeScaleIndex = Math.min(TIME_SCALES.length - 1, this.timeScaleIndex + 1);
+        return true;
+      case 'Equal':
+        this.timeScaleIndex = Math.max(0, this.timeScaleIndex - 1);
+        return true;
+      case 'Comma':
+        this.paused = !this.paused;
+        return true;
+      case 'Period':
+        this.paused = true;
+        this.stepRequested = true;
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  consumeStep() {
+    const step = this.stepRequested;
+    this.stepRequested = false;
+    return step;
+  }
+
+  recordFrame(frameTime, ticks) {
+    this.frameTimes.push(frameTime);
+    this.ticksPerFrame.push(ticks);
+    if (this.frameTimes.length > HISTORY_LENGTH) {
+      this.frameTimes.shift();
+      this.ticksPerFrame.shift();
+    }
+  }
+
+  /**
+   * World-space layer: segment boundaries, entity collision shapes with their
+   * cooldowns, and the player's current and previous bounds.
+   */
+  drawWorld(ctx, level, player, scale, scrollX, viewportWidth, viewportHeight) {
+    if (!this.enabled) {
+      return;
+    }
+    const toScreenX = (x) => (x - scrollX) * scale;
+    const playerRect = player.getBounds();
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    ctx.font = '12px monospace';
+    ctx.textBaseline = 'bottom';
+
+    for (const segment of level.activeSegments) {
+      const startX = toScreenX(segment.offset);
+      const endX = toScreenX(segment.end);
+      if (endX < 0 || startX > viewportWidth) {
+        continue;
+      }
+      ctx.strokeStyle = 'rgba(248, 249, 250, 0.5)';
+      ctx.setLineDash([8, 6]);
+      ctx.beginPath();
+      ctx.moveTo(startX, 0);
+      ctx.lineTo(startX, viewportHeight);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#f8f9fa';
+      ctx.fillText(`${segmentLabel(level, segment)} @ ${Math.round(segment.offset)}`, startX + 4, 16);
+
+      for (const entity of segment.entities) {
+        if (!entity.enabled) {
+          continue;
+        }
+        const shape = level.getCollisionShape(segment, entity, playerRect);
+        if (!shape) {
+          continue;
+        }
+        ctx.strokeStyle = SHAPE_COLORS[entity.type] ?? DEFAULT_SHAPE_COLOR;
+        this.#drawShape(ctx, shape, scale, scrollX);
+        if (entity.cooldown > 0) {
+          const labelX = shape.circle ? shape.circle.x - shape.circle.radius : shape.rect.left;
+          const labelY = shape.circle ? shape.circle.y - shape.circle.radius : shape.rect.top;
+          ctx.fillStyle = '#f8f9fa';
+          ctx.fillText(`cd ${entity.cooldown.toFixed(2)}s`, toScreenX(labelX), labelY * scale - 2);
+        }
+      }
+    }
+
+    const previous = player.getPreviousBounds();
+    ctx.strokeStyle = 'rgba(248, 249, 250, 0.6)';
+    ctx.setLineDash([4, 4]);
+    ctx.strokeRect(toScreenX(previous.left), previous.top * scale, previous.width * scale, previous.height * scale);
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#3ddbd9';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(toScreenX(playerRect.left), playerRect.top * scale, playerRect.width * scale, playerRect.height * scale);
+    ctx.restore();
+  }
+
+  #drawShape(ctx, shape, scale, scrollX) {
+    if (shape.circle) {
+      ctx.beginPath();
+      ctx.arc((shape.circle.x - scrollX) * scale, shape.circle.y * scale, shape.circle.radius * scale, 0, Math.PI * 2);
+      ctx.stroke();
+      return;
+    }
+    const { rect } = shape;
+    ctx.strokeRect((rect.left - scrollX) * scale, rect.top * scale, rect.width * scale, rect.height * scale);
+    if (!shape.triangle) {
+      return;
+    }
+    ctx.beginPath();
+    shape.triangle.forEach((point, index) => {
+      const x = (point.x - scrollX) * scale;
+      const y = point.y * scale;
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.closePath();
+    ctx.stroke();
+    if (shape.probe) {
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.arc((shape.probe.x - scrollX) * scale, shape.probe.y * scale, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  /**
+   * Screen-space layer: timing readout, frame-time/tick graph and a strip
+   * showing the active segments against the recycle margin.
+   */
+  drawHud(ctx, level, simulation, viewportWidth, viewportHeight) {
+    if (!this.enabled) {
+      return;
+    }
+    ctx.save();
+    const graphWidth = HISTORY_LENGTH * 2;
+    const graphHeight = 60;
+    const graphX = 20;
+    const graphY = viewportHeight - graphHeight - 90;
+    ctx.fillStyle = 'rgba(11, 19, 43, 0.85)';
+    ctx.fillRect(graphX, graphY - 40, graphWidth, graphHeight + 40);
+
+    // Frame times as bars (the line marks 60 fps) and simulation ticks run in
+    // each frame as dots.
+    const msToY = (ms) => graphY + graphHeight - Math.min(graphHeight, (ms / 50) * graphHeight);
+    this.frameTimes.forEach((frameTime, index) => {
+      const ms = frameTime * 1000;
+      ctx.fillStyle = ms > 1000 / 30 ? '#ff5f5f' : '#7bd88f';
+      ctx.fillRect(graphX + index * 2, msToY(ms), 2, graphY + graphHeight - msToY(ms));
+      ctx.fillStyle = '#ffc947';
+      ctx.fillRect(graphX + index * 2, graphY + graphHeight - this.ticksPerFrame[index] * 6 - 2, 2, 2);
+    });
+    ctx.strokeStyle = 'rgba(248, 249, 250, 0.6)';
+    ctx.beginPath();
+    ctx.moveTo(graphX, msToY(1000 / 60));
+    ctx.lineTo(graphX + graphWidth, msToY(1000 / 60));
+    ctx.stroke();
+
+    const latest = this.frameTimes[this.frameTimes.length - 1] ?? 0;
+    const speed = this.paused ? 'paused' : `${TIME_SCALES[this.timeScaleIndex]}x`;
+    ctx.fillStyle = '#f8f9fa';
+    ctx.font = '12px monospace';
+    ctx.textBaseline = 'top';
+    ctx.fillText(
+      `frame ${(latest * 1000).toFixed(1)}ms  tick ${simulation.tick} (${(TICK_DURATION * 1000).toFixed(2)}ms)  ${speed}`,
+      graphX + 6,
+      graphY - 36
+    );
+    ctx.fillText('F3 close, -/= speed, , pause, . step', graphX + 6, graphY - 20);
+
+    this.#drawSegmentStrip(ctx, level, viewportWidth, viewportHeight);
+    ctx.restore();
+  }
+
+  /**
+   * Maps everything from the recycle threshold (segments ending left of it
+   * are recycled) to the far draw margin onto one strip, since both lie
+   * outside the visible screen.
+   */
+  #drawSegmentStrip(ctx, level, viewportWidth, viewportHeight) {
+    const worldStart = level.scrollX - level.recycleMargin;
+    const worldEnd = level.scrollX + level.viewportWorldWidth + level.recycleMargin;
+    const stripX = 20;
+    const stripWidth = viewportWidth - 40;
+    const stripY = viewportHeight - 70;
+    const stripHeight = 40;
+    const toStripX = (x) => stripX + ((x - worldStart) / (worldEnd - worldStart)) * stripWidth;
+
+    ctx.fillStyle = 'rgba(11, 19, 43, 0.85)';
+    ctx.fillRect(stripX, stripY, stripWidth, stripHeight);
+    ctx.font = '11px monospace';
+    level.activeSegments.forEach((segment, index) => {
+      const left = Math.max(stripX, toStripX(segment.offset));
+      const right = Math.min(stripX + stripWidth, toStripX(segment.end));
+      if (right <= left) {
+        return;
+      }
+      ctx.fillStyle = index % 2 === 0 ? 'rgba(91, 192, 235, 0.45)' : 'rgba(199, 125, 255, 0.45)';
+      ctx.fillRect(left, stripY + 6, right - left, stripHeight - 12);
+      ctx.fillStyle = '#f8f9fa';
+      ctx.fillText(segment.template.generated ? 'gen' : `#${level.templates.indexOf(segment.template)}`, left + 4, stripY + 10);
+    });
+    ctx.strokeStyle = '#f8f9fa';
+    ctx.strokeRect(
+      toStripX(level.scrollX),
+      stripY + 2,
+      toStripX(level.scrollX + level.viewportWorldWidth) - toStripX(level.scrollX),
+      stripHeight - 4
+    );
+    ctx.fillStyle = '#ff5f5f';
+    ctx.fillRect(stripX, stripY, 2, stripHeight);
+    ctx.fillText(`recycle margin ${Math.round(level.recycleMargin)}`, stripX + 6, stripY + stripHeight - 14);
+  }
+}
@@ -0,0 +1,677 @@
+import { COLOR_CHANNELS, DEFAULT_LEVEL_COLORS, normalizeHexColor } from './core/colors.js';
+import { CEILING_Y, FLOOR_Y, PLAYER_ANCHOR_X, WORLD_HEIGHT } from './core/constants.js';
+import { entityTypeNames, getEntityType } from './core/entities.js';
+import { levelToTemplates } from './core/level-format.js';
+import { Level } from './core/level.js';
+import { DEFAULT_BPM, LevelTiming } from './core/timing.js';
+import { drawBeatLines } from './beat-lines.js';
+import { isEditableTarget } from './keyboard.js';
+
+const GRID_SIZE = 20;
+const HANDLE_SIZE = 12;
+const SCROLL_STEP = 200;
+// With beat lines on, x positions snap to this fraction of a beat.
+const BEAT_SNAP = 1 / 2;
+// Sizes for placing custom types that do not declare their own defaults.
+const FALLBACK_SIZES = { rect: { width: 64, height: 64 }, circle: { radius: 32 } };
+
+// Looked up on use, since modules can register entity types at any time.
+function toolNames() {
+  return ['select', ...entityTypeNames()];
+}
+
+function snap(value) {
+  return Math.round(value / GRID_SIZE) * GRID_SIZE;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function isCircle(entity) {
+  return getEntityType(entity.type).shape === 'circle';
+}
+
+function entityBounds(entity) {
+  if (isCircle(entity)) {
+    return {
+      left: entity.x - entity.radius,
+      top: entity.y - entity.radius,
+      right: entity.x + entity.radius,
+      bottom: entity.y + entity.radius,
+    };
+  }
+  return {
+    left: entity.x,
+    top: entity.y,
+    right: entity.x + entity.width,
+    bottom: entity.y + entity.height,
+  };
+}
+
+/**
+ * Grid-snapped level editor. It edits a level definition in the JSON level
+ * format and draws it through `Level.draw`, so the preview matches what is
+ * played.
+ */
+export class Editor {
+  constructor(canvas, { onPlaytest }) {
+    this.canvas = canvas;
+    this.onPlaytest = onPlaytest;
+    this.level = new Level([]);
+    this.level.showTriggers = true;
+    this.timing = new LevelTiming();
+    this.beatLines = false;
+    this.definition = null;
+    this.active = false;
+    this.cameraX = 0;
+    this.scale = 1;
+    this.tool = 'select';
+    this.selectedIndex = -1;
+    this.drag = null;
+    this.pointerWorld = { x: 0, y: 0 };
+    this.panel = this.#createPanel();
+
+    canvas.addEventListener('pointerdown', (event) => this.#handlePointerDown(event));
+    canvas.addEventListener('pointermove', (event) => this.#handlePointerMove(event));
+    canvas.addEventListener('pointerup', () => this.#handlePointerUp());
+    canvas.addEventListener('pointercancel', () => this.#handlePointerUp());
+    canvas.addEventListener('wheel', (event) => {
+      if (!this.active) {
+        return;
+      }
+      event.preventDefault();
+      const delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+      this.#scrollBy(delta / this.scale);
+    }, { passive: false });
+  }
+
+  open(definition, cameraX = 0) {
+    this.definition = structuredClone(definition);
+    this.cameraX = Math.max(0, cameraX);
+    this.selectedIndex = -1;
+    this.drag = null;
+    this.active = true;
+    this.panel.root.hidden = false;
+    this.#rebuild();
+    this.#renderPanel();
+  }
+
+  close() {
+    this.active = false;
+    this.drag = null;
+    this.panel.root.hidden = true;
+  }
+
+  setViewport(scale, worldWidth) {
+    this.scale = scale;
+    this.level.setViewport(worldWidth);
+  }
+
+  get selected() {
+    return this.definition?.entities[this.selectedIndex] ?? null;
+  }
+
+  playtest(startX) {
+    this.onPlaytest(structuredClone(this.definition), clamp(startX, 0, this.definition.length));
+  }
+
+  render(ctx, viewportWidth, viewportHeight) {
+    const scale = this.scale;
+    ctx.fillStyle = this.level.colors.background;
+    ctx.fillRect(0, 0, viewportWidth, viewportHeight);
+
+    this.#drawGrid(ctx, viewportWidth, viewportHeight);
+    if (this.beatLines) {
+      drawBeatLines(ctx, this.timing, { cameraX: this.cameraX, scale, viewportWidth, viewportHeight });
+    }
+    this.level.scrollX = this.cameraX;
+    this.level.draw(ctx, scale, this.cameraX, viewportWidth, viewportHeight);
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(248, 249, 250, 0.6)';
+    ctx.lineWidth = 2;
+    for (const x of [0, this.definition.length]) {
+      const screenX = (x - this.cameraX) * scale;
+      ctx.beginPath();
+      ctx.moveTo(screenX, 0);
+      ctx.lineTo(screenX, viewportHeight);
+      ctx.stroke();
+    }
+    ctx.beginPath();
+    ctx.moveTo(0, CEILING_Y * scale);
+    ctx.lineTo(viewportWidth, CEILING_Y * scale);
+    ctx.stroke();
+
+    const cursorX = (this.#snapX(this.pointerWorld.x) - this.cameraX) * scale;
+    ctx.setLineDash([8, 8]);
+    ctx.strokeStyle = 'rgba(255, 201, 71, 0.6)';
+    ctx.beginPath();
+    ctx.moveTo(cursorX, 0);
+    ctx.lineTo(cursorX, viewportHeight);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const selected = this.selected;
+    if (selected) {
+      const bounds = entityBounds(selected);
+      ctx.strokeStyle = '#ffc947';
+      ctx.strokeRect(
+        (bounds.left - this.cameraX) * scale,
+        bounds.top * scale,
+        (bounds.right - bounds.left) * scale,
+        (bounds.bottom - bounds.top) * scale
+      );
+      ctx.fillStyle = '#ffc947';
+      ctx.fillRect(
+        (bounds.right - this.cameraX) * scale - HANDLE_SIZE / 2,
+        bounds.bottom * scale - HANDLE_SIZE / 2,
+        HANDLE_SIZE,
+        HANDLE_SIZE
+      );
+    }
+
+    ctx.font = '16px "Segoe UI", sans-serif';
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textBaseline = 'top';
+    const lines = [
+      `Editing: ${this.definition.metadata.name}  (tool: ${this.tool})`,
+      `Cursor: x=${Math.round(this.#snapX(this.pointerWorld.x))}  y=${snap(this.pointerWorld.y)}  beat ${this.timing.beatAt(this.#snapX(this.pointerWorld.x)).toFixed(2)}`,
+      '1-9, 0 or the panel pick tools, drag to move, corner handle to resize, R rotate, Delete remove, B beat lines and snapping',
+      'Wheel / arrows scroll, P playtest from cursor, M back to game',
+    ];
+    lines.forEach((line, index) => {
+      ctx.fillText(line, 20, 20 + index * 20);
+    });
+    ctx.restore();
+  }
+
+  #drawGrid(ctx, viewportWidth, viewportHeight) {
+    const scale = this.scale;
+    const worldWidth = viewportWidth / scale;
+    const firstLine = Math.floor(this.cameraX / GRID_SIZE) * GRID_SIZE;
+    ctx.save();
+    ctx.lineWidth = 1;
+    for (let x = firstLine; x <= this.cameraX + worldWidth; x += GRID_SIZE) {
+      ctx.strokeStyle = x % (GRID_SIZE * 5) === 0 ? 'rgba(255, 255, 255, 0.12)' : 'rgba(255, 255, 255, 0.05)';
+      const screenX = (x - this.cameraX) * scale;
+      ctx.beginPath();
+      ctx.moveTo(screenX, 0);
+      ctx.lineTo(screenX, viewportHeight);
+      ctx.stroke();
+    }
+    for (let y = 0; y <= WORLD_HEIGHT; y += GRID_SIZE) {
+      ctx.strokeStyle = y % (GRID_SIZE * 5) === 0 ? 'rgba(255, 255, 255, 0.12)' : 'rgba(255, 255, 255, 0.05)';
+      ctx.beginPath();
+      ctx.moveTo(0, y * scale);
+      ctx.lineTo(viewportWidth, y * scale);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  #rebuild() {
+    this.level.setTemplates(levelToTemplates(this.definition), this.definition.colors);
+    this.level.layoutOnce();
+    this.timing = new LevelTiming(this.definition.music, this.definition.entities);
+  }
+
+  /**
+   * Snaps an x position to the grid, or to the nearest beat subdivision while
+   * beat lines are shown.
+   */
+  #snapX(x) {
+    if (!this.beatLines) {
+      return snap(x);
+    }
+    return this.timing.xAtBeat(Math.round(this.timing.beatAt(x) / BEAT_SNAP) * BEAT_SNAP);
+  }
+
+  #toWorld(event) {
+    return {
+      x: event.offsetX / this.scale + this.cameraX,
+      y: event.offsetY / this.scale,
+    };
+  }
+
+  #scrollBy(delta) {
+    this.cameraX = Math.max(0, this.cameraX + delta);
+  }
+
+  #hitTest(point) {
+    for (let index = this.definition.entities.length - 1; index >= 0; index -= 1) {
+      const entity = this.definition.entities[index];
+      if (isCircle(entity)) {
+        if (Math.hypot(point.x - entity.x, point.y - entity.y) <= entity.radius) {
+          return index;
+        }
+        continue;
+      }
+      const bounds = entityBounds(entity);
+      if (point.x >= bounds.left && point.x <= bounds.right && point.y >= bounds.top && point.y <= bounds.bottom) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  #isOnHandle(point) {
+    const selected = this.selected;
+    if (!selected) {
+      return false;
+    }
+    const bounds = entityBounds(selected);
+    const tolerance = HANDLE_SIZE / this.scale;
+    return Math.abs(point.x - bounds.right) <= tolerance && Math.abs(point.y - bounds.bottom) <= tolerance;
+  }
+
+  #handlePointerDown(event) {
+    if (!this.active || event.button !== 0) {
+      return;
+    }
+    const point = this.#toWorld(event);
+    this.pointerWorld = point;
+
+    if (this.tool !== 'select') {
+      this.#placeEntity(this.tool, point);
+      return;
+    }
+
+    if (this.#isOnHandle(point)) {
+      this.drag = { mode: 'resize' };
+      return;
+    }
+
+    const index = this.#hitTest(point);
+    if (index >= 0) {
+      const entity = this.definition.entities[index];
+      this.selectedIndex = index;
+      this.drag = { mode: 'move', offsetX: point.x - entity.x, offsetY: point.y - entity.y };
+    } else {
+      this.selectedIndex = -1;
+      this.drag = { mode: 'pan', startX: event.offsetX, cameraX: this.cameraX };
+    }
+    this.#renderPanel();
+  }
+
+  #handlePointerMove(event) {
+    if (!this.active) {
+      return;
+    }
+    const point = this.#toWorld(event);
+    this.pointerWorld = point;
+    if (!this.drag) {
+      return;
+    }
+    const entity = this.selected;
+    switch (this.drag.mode) {
+      case 'pan':
+        this.cameraX = Math.max(0, this.drag.cameraX - (event.offsetX - this.drag.startX) / this.scale);
+        break;
+      case 'move':
+        entity.x = this.#snapX(point.x - this.drag.offsetX);
+        entity.y = snap(point.y - this.drag.offsetY);
+        this.#constrain(entity);
+        this.#rebuild();
+        break;
+      case 'resize':
+        if (isCircle(entity)) {
+          entity.radius = Math.max(GRID_SIZE / 2, snap(Math.max(point.x - entity.x, point.y - entity.y)));
+        } else {
+          entity.width = Math.max(GRID_SIZE, snap(point.x) - entity.x);
+          entity.height = Math.max(GRID_SIZE, snap(point.y) - entity.y);
+        }
+        this.#constrain(entity);
+        this.#rebuild();
+        break;
+      default:
+        break;
+    }
+  }
+
+  #handlePointerUp() {
+    if (this.drag && this.drag.mode !== 'pan') {
+      this.#renderPanel();
+    }
+    this.drag = null;
+  }
+
+  /**
+   * Handles an editor shortcut and returns true when the key was one. The game
+   * passes keys here first while the editor is open and skips its own
+   * shortcuts for keys the editor used, so P starts a playtest without also
+   * toggling practice mode in the playtest it starts.
+   */
+  handleKey(event) {
+    if (!this.active || isEditableTarget(event.target)) {
+      return false;
+    }
+    const toolIndex = event.key === '0' ? 9 : Number(event.key) - 1;
+    const tools = toolNames();
+    if (Number.isInteger(toolIndex) && toolIndex >= 0 && toolIndex < tools.length) {
+      this.#setTool(tools[toolIndex]);
+      return true;
+    }
+    switch (event.code) {
+      case 'Delete':
+      case 'Backspace':
+        this.#deleteSelected();
+        event.preventDefault();
+        break;
+      case 'KeyR':
+        this.#rotateSelected();
+        break;
+      case 'ArrowLeft':
+        this.#scrollBy(-SCROLL_STEP);
+        event.preventDefault();
+        break;
+      case 'ArrowRight':
+        this.#scrollBy(SCROLL_STEP);
+        event.preventDefault();
+        break;
+      case 'KeyP':
+        this.playtest(this.#snapX(this.pointerWorld.x));
+        break;
+      case 'KeyB':
+        this.beatLines = !this.beatLines;
+        break;
+      case 'Escape':
+        this.selectedIndex = -1;
+        this.#setTool('select');
+        break;
+      default:
+        return false;
+    }
+    return true;
+  }
+
+  #setTool(tool) {
+    this.tool = tool;
+    this.#renderPanel();
+  }
+
+  #placeEntity(type, point) {
+    const { shape, defaults } = getEntityType(type);
+    const entity = {
+      type,
+      x: this.#snapX(point.x),
+      y: snap(point.y),
+      ...FALLBACK_SIZES[shape],
+      ...structuredClone(defaults),
+    };
+    if (!isCircle(entity)) {
+      entity.x = this.#snapX(point.x - entity.width / 2);
+      entity.y = snap(point.y - entity.height / 2);
+    }
+    this.#constrain(entity);
+    this.definition.entities.push(entity);
+    this.selectedIndex = this.definition.entities.length - 1;
+    this.#rebuild();
+    this.#renderPanel();
+  }
+
+  #constrain(entity) {
+    if (isCircle(entity)) {
+      entity.x = clamp(entity.x, 0, this.definition.length);
+      entity.y = clamp(entity.y, CEILING_Y + entity.radius, FLOOR_Y - entity.radius);
+      return;
+    }
+    entity.height = Math.min(entity.height, FLOOR_Y - CEILING_Y);
+    entity.x = clamp(entity.x, 0, Math.max(0, this.definition.length - entity.width));
+    entity.y = clamp(entity.y, CEILING_Y, FLOOR_Y - entity.height);
+  }
+
+  #deleteSelected() {
+    if (!this.selected) {
+      return;
+    }
+    this.definition.entities.splice(this.selectedIndex, 1);
+    this.selectedIndex = -1;
+    this.#rebuild();
+    this.#renderPanel();
+  }
+
+  #rotateSelected() {
+    const entity = this.selected;
+    const orientations = entity && getEntityType(entity.type).orientations;
+    if (!orientations) {
+      return;
+    }
+    const current = orientations.indexOf(entity.orientation ?? orientations[0]);
+    entity.orientation = orientations[(current + 1) % orientations.length];
+    this.#rebuild();
+    this.#renderPanel();
+  }
+
+  #createPanel() {
+    const root = document.createElement('aside');
+    root.id = 'editorPanel';
+    root.hidden = true;
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Level editor';
+    const tools = document.createElement('div');
+    tools.className = 'editor-tools';
+    const levelSection = document.createElement('section');
+    const entitySection = document.createElement('section');
+    const actions = document.createElement('div');
+    actions.className = 'editor-actions';
+
+    const playButton = document.createElement('button');
+    playButton.type = 'button';
+    playButton.textContent = 'Playtest from view';
+    playButton.addEventListener('click', () => this.playtest(this.cameraX));
+    actions.append(playButton);
+
+    root.append(heading, tools, levelSection, entitySection, actions);
+    document.body.append(root);
+    return { root, tools, levelSection, entitySection };
+  }
+
+  #renderPanel() {
+    const { tools, levelSection, entitySection } = this.panel;
+
+    tools.replaceChildren(...toolNames().map((tool, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = index < 10 ? `${(index + 1) % 10} ${tool}` : tool;
+      button.classList.toggle('active', tool === this.tool);
+      button.addEventListener('click', () => this.#setTool(tool));
+      return button;
+    }));
+
+    const metadata = this.definition.metadata;
+    levelSection.replaceChildren(
+      this.#heading('Level'),
+      this.#textField('Name', metadata.name, (value) => {
+        metadata.name = value;
+      }),
+      this.#textField('Author', metadata.author, (value) => {
+        metadata.author = value;
+      }),
+      this.#numberField('Length', this.definition.length, (value) => {
+        if (value > PLAYER_ANCHOR_X) {
+          this.definition.length = value;
+        }
+      }),
+      this.#numberField('BPM', this.definition.music?.bpm, (value) => {
+        if (value === null) {
+          delete this.definition.music;
+        } else if (value > 0) {
+          this.definition.music = { offset: 0, ...this.definition.music, bpm: value };
+        }
+      }, { optional: true }),
+      this.#numberField('Offset (s)', this.definition.music?.offset, (value) => {
+        if (value === null || value >= 0) {
+          this.definition.music = { bpm: DEFAULT_BPM, ...this.definition.music, offset: value ?? 0 };
+        }
+      }, { optional: true }),
+      this.#heading('Colors'),
+      ...COLOR_CHANNELS.map((channel) => this.#colorField(channel, this.definition.colors[channel] ?? DEFAULT_LEVEL_COLORS[channel], (value) => {
+        this.definition.colors = { ...this.definition.colors, [channel]: value };
+      }))
+    );
+
+    const entity = this.selected;
+    if (!entity) {
+      entitySection.replaceChildren(this.#heading('No selection'));
+      return;
+    }
+
+    const schema = getEntityType(entity.type);
+    const geometryKeys = schema.shape === 'circle' ? ['x', 'y', 'radius'] : ['x', 'y', 'width', 'height'];
+    const fields = [this.#heading(`Selected ${entity.type}`)];
+    for (const key of geometryKeys) {
+      fields.push(this.#numberField(key, entity[key], (value) => {
+        if (key === 'x' || key === 'y' || value > 0) {
+          entity[key] = value;
+          this.#constrain(entity);
+        }
+      }));
+    }
+    fields.push(this.#numberField('beat', Math.round(this.timing.beatAt(entity.x) * 100) / 100, (value) => {
+      entity.x = this.timing.xAtBeat(value);
+      this.#constrain(entity);
+    }));
+    if (!schema.triggersGroups) {
+      fields.push(this.#textField('groups', entity.groups?.join(', '), (value) => {
+        const groups = value.split(',').map((part) => Number(part.trim())).filter((group) => Number.isInteger(group) && group > 0);
+        if (groups.length > 0) {
+          entity.groups = groups;
+        } else {
+          delete entity.groups;
+        }
+        this.#renderPanel();
+      }));
+    }
+    if (schema.orientations) {
+      fields.push(this.#selectField('orientation', schema.orientations, entity.orientation ?? schema.orientations[0], (value) => {
+        entity.orientation = value;
+      }));
+    }
+    for (const [key, kind] of Object.entries(schema.properties)) {
+      if (Array.isArray(kind)) {
+        fields.push(this.#selectField(key, kind, entity.properties?.[key] ?? kind[0], (value) => {
+          entity.properties = { ...entity.properties, [key]: value };
+        }));
+        continue;
+      }
+      if (kind === 'color') {
+        fields.push(this.#colorField(key, entity.properties?.[key] ?? '#ffffff', (value) => {
+          entity.properties = { ...entity.properties, [key]: value };
+        }));
+        continue;
+      }
+      if (kind === 'boolean') {
+        fields.push(this.#checkboxField(key, Boolean(entity.properties?.[key]), (value) => {
+          entity.properties = { ...entity.properties };
+          if (value) {
+            entity.properties[key] = true;
+          } else {
+            delete entity.properties[key];
+          }
+        }));
+        continue;
+      }
+      fields.push(this.#numberField(key, entity.properties?.[key], (value) => {
+        entity.properties = { ...entity.properties };
+        if (value === null) {
+          delete entity.properties[key];
+        } else {
+          entity.properties[key] = value;
+        }
+      }, { optional: true }));
+    }
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => this.#deleteSelected());
+    fields.push(deleteButton);
+    entitySection.replaceChildren(...fields);
+  }
+
+  #heading(text) {
+    const heading = document.createElement('h3');
+    heading.textContent = text;
+    return heading;
+  }
+
+  #label(text, control) {
+    const label = document.createElement('label');
+    const caption = document.createElement('span');
+    caption.textContent = text;
+    label.append(caption, control);
+    return label;
+  }
+
+  #selectField(text, options, value, onChange) {
+    const select = document.createElement('select');
+    for (const optionValue of options) {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionValue;
+      select.append(option);
+    }
+    select.value = value;
+    select.addEventListener('change', () => {
+      // Option values are strings; hand back the original (possibly numeric) value.
+      onChange(options.find((optionValue) => String(optionValue) === select.value));
+      this.#rebuild();
+    });
+    return this.#label(text, select);
+  }
+
+  #checkboxField(text, checked, onChange) {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => {
+      onChange(input.checked);
+      this.#rebuild();
+    });
+    return this.#label(text, input);
+  }
+
+  #colorField(text, value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = normalizeHexColor(value);
+    input.addEventListener('change', () => {
+      onChange(input.value);
+      this.#rebuild();
+    });
+    return this.#label(text, input);
+  }
+
+  #textField(text, value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value ?? '';
+    input.addEventListener('change', () => onChange(input.value));
+    return this.#label(text, input);
+  }
+
+  #numberField(text, value, onChange, { optional = false } = {}) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.value = value ?? '';
+    if (optional) {
+      input.placeholder = 'default';
+    }
+    input.addEventListener('change', () => {
+      const parsed = input.value === '' ? null : Number(input.value);
+      if (parsed === null && !optional) {
+        input.value = value;
+        return;
+      }
+      if (parsed !== null && !Number.isFinite(parsed)) {
+        return;
+      }
+      onChange(parsed);
+      this.#rebuild();
+      this.#renderPanel();
+    });
+    return this.#label(text, input);
+  }
+}
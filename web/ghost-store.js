@@ -0,0 +1,42 @@
+import { parseGhost, serializeGhost } from './core/ghost.js';
+import { saveToStorage } from './storage.js';
+
+const STORAGE_PREFIX = 'my-own-geometry-dash:ghost:';
+const INDEX_KEY = 'my-own-geometry-dash:ghosts';
+// Endless mode rolls a new seed every attempt, so only the most recently
+// saved ghosts are kept to stay well inside the localStorage quota.
+const MAX_STORED_GHOSTS = 30;
+
+function readIndex() {
+  try {
+    const index = JSON.parse(localStorage.getItem(INDEX_KEY));
+    return Array.isArray(index) ? index.filter((key) => typeof key === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Returns the stored ghost for `key`, or null when there is none or it can no
+ * longer be read.
+ */
+export function loadGhost(key) {
+  try {
+    const text = localStorage.getItem(STORAGE_PREFIX + key);
+    return text ? parseGhost(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveGhost(ghost) {
+  const index = readIndex().filter((key) => key !== ghost.key);
+  index.push(ghost.key);
+  saveToStorage(() => {
+    while (index.length > MAX_STORED_GHOSTS) {
+      localStorage.removeItem(STORAGE_PREFIX + index.shift());
+    }
+    localStorage.setItem(STORAGE_PREFIX + ghost.key, serializeGhost(ghost));
+    localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  });
+}
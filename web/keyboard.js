@@ -0,0 +1,7 @@
+/**
+ * True when a keyboard event comes from a form control, so global shortcuts
+ * do not fire while the user is typing into the editor panel.
+ */
+export function isEditableTarget(target) {
+  return Boolean(target?.closest?.('input, select, textarea, button'));
+}
@@ -0,0 +1,174 @@
+import { loadEntityModules } from './core/entities.js';
+import { LevelValidationError, parseLevel, serializeLevel } from './core/level-format.js';
+import { isProfileData, parseProfile, serializeProfile } from './core/profile.js';
+import { isGhostData, parseGhost, serializeGhost } from './core/ghost.js';
+import { isReplayData, parseReplay, serializeReplay } from './core/replay.js';
+import { isEditableTarget } from './keyboard.js';
+
+/**
+ * Loads the modules a level lists under `modules`, so the entity types they
+ * add are known before the level is validated. Only modules from this site
+ * are loaded, so a shared level file cannot run code from elsewhere.
+ */
+async function loadLevelModules(data) {
+  if (!Array.isArray(data?.modules)) {
+    return;
+  }
+  const modules = data.modules.filter((module) => typeof module === 'string');
+  const foreign = modules.filter((module) => new URL(module, document.baseURI).origin !== window.location.origin);
+  if (foreign.length > 0) {
+    throw new LevelValidationError(foreign.map((module) => `module "${module}" is not on this site; only local modules can be loaded`));
+  }
+  try {
+    await loadEntityModules(modules, document.baseURI);
+  } catch (error) {
+    throw new LevelValidationError([`a module could not be loaded: ${error.message}`]);
+  }
+}
+
+/**
+ * Reads a dropped or picked `File` as a level, replay, ghost or profile.
+ * Resolves with `{ replay }`, `{ ghost }`, `{ profile }` or `{ level }`
+ * depending on what the file contains, and rejects with the matching
+ * validation error when the file is malformed.
+ */
+export async function readGameFile(file) {
+  const text = await file.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { level: parseLevel(text) };
+  }
+  if (isReplayData(data)) {
+    await loadLevelModules(data.level);
+    return { replay: parseReplay(data) };
+  }
+  if (isGhostData(data)) {
+    return { ghost: parseGhost(data) };
+  }
+  if (isProfileData(data)) {
+    return { profile: parseProfile(data) };
+  }
+  await loadLevelModules(data);
+  return { level: parseLevel(data) };
+}
+
+function slugify(name, fallback) {
+  return (name || fallback).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+}
+
+function downloadJson(text, filename) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadLevel(level) {
+  downloadJson(serializeLevel(level), `${slugify(level.metadata?.name, 'level')}.json`);
+}
+
+export function downloadReplay(replay) {
+  const name = slugify(replay.level?.metadata.name, 'endless');
+  downloadJson(serializeReplay(replay), `${name}-seed-${replay.seed}.replay.json`);
+}
+
+export function downloadGhost(ghost) {
+  downloadJson(serializeGhost(ghost), `${slugify(ghost.label, 'ghost')}.ghost.json`);
+}
+
+export function downloadProfile(profile) {
+  downloadJson(serializeProfile(profile), 'my-own-geometry-dash-profile.json');
+}
+
+/**
+ * Wires the file picker (L key), export (E key) and drag-and-drop onto the
+ * canvas. Replay, ghost and profile files are handed to `onReplay`, `onGhost`
+ * and `onProfile`; load failures are reported through `onError`.
+ */
+export function setupLevelFiles(canvas, { onLoad, onReplay, onGhost, onProfile, onError, onExport }) {
+  const picker = document.createElement('input');
+  picker.type = 'file';
+  picker.accept = '.json,application/json';
+  picker.hidden = true;
+  document.body.append(picker);
+
+  const load = async (file) => {
+    if (!file) {
+      return;
+    }
+    try {
+      const { level, replay, ghost, profile } = await readGameFile(file);
+      if (replay) {
+        onReplay(replay);
+      } else if (ghost) {
+        onGhost(ghost);
+      } else if (profile) {
+        onProfile(profile);
+      } else {
+        onLoad(level);
+      }
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  picker.addEventListener('change', () => {
+    load(picker.files[0]);
+    picker.value = '';
+  });
+
+  window.addEventListener('keydown', (event) => {
+    if (isEditableTarget(event.target)) {
+      return;
+    }
+    if (event.code === 'KeyL') {
+      picker.click();
+    } else if (event.code === 'KeyE') {
+      onExport();
+    }
+  });
+
+  canvas.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+
+  canvas.addEventListener('drop', (event) => {
+    event.preventDefault();
+    load(event.dataTransfer.files[0]);
+  });
+}
+
+/**
+ * Shows a dismissible message box above the canvas, e.g. the list of
+ * validation errors for a rejected level file.
+ */
+export function showNotice(title, lines = []) {
+  let notice = document.getElementById('notice');
+  if (!notice) {
+    notice = document.createElement('aside');
+    notice.id = 'notice';
+    notice.setAttribute('role', 'alert');
+    notice.addEventListener('click', () => {
+      notice.hidden = true;
+    });
+    document.body.append(notice);
+  }
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  const list = document.createElement('ul');
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.append(item);
+  }
+  const hint = document.createElement('small');
+  hint.textContent = 'Click to dismiss';
+  notice.replaceChildren(heading, list, hint);
+  notice.hidden = false;
+}
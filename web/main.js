@@ -1,8 +1,38 @@
-const WORLD_HEIGHT = 720;
-const FLOOR_Y = WORLD_HEIGHT - 120;
-const CEILING_Y = 120;
-const PLAYER_SIZE = 64;
-const MAX_DELTA_TIME = 1 / 30;
+import { RouteSearch } from './core/bot.js';
+import { TICK_DURATION, WORLD_HEIGHT } from './core/constants.js';
+import { COIN_COLORS, drawCoin } from './core/entity-types.js';
+import { SegmentGenerator } from './core/generator.js';
+import { GhostRecorder, GhostValidationError, ghostKey } from './core/ghost.js';
+import { ScriptedInput } from './core/input.js';
+import { LevelValidationError, levelToTemplates, parseLevel, templatesToLevel } from './core/level-format.js';
+import { LEVEL_LIBRARY } from './core/levels.js';
+import { PracticeSession } from './core/practice.js';
+import { ProfileValidationError } from './core/profile.js';
+import { createRandomSeed, normalizeSeed } from './core/random.js';
+import { ReplayRecorder, ReplayValidationError, createReplay } from './core/replay.js';
+import { RunScore, levelCoins } from './core/score.js';
+import { SEGMENT_LIBRARY } from './core/segments.js';
+import { Simulation } from './core/simulation.js';
+import { LevelTiming } from './core/timing.js';
+import { loadAnalytics, saveAnalytics } from './analytics-store.js';
+import { AudioEngine } from './audio.js';
+import { AudioMixer } from './audio-mixer.js';
+import { loadAudioSettings } from './audio-store.js';
+import { drawBeatLines } from './beat-lines.js';
+import { DebugOverlay } from './debug-overlay.js';
+import { Editor } from './editor.js';
+import { loadGhost, saveGhost } from './ghost-store.js';
+import { isEditableTarget } from './keyboard.js';
+import { downloadGhost, downloadLevel, downloadProfile, downloadReplay, setupLevelFiles, showNotice } from './level-files.js';
+import { loadProfile, saveProfile } from './profile-store.js';
+
+const MAX_FRAME_TIME = 0.25;
+// Milliseconds of each frame the bot may spend searching for a route.
+const ROUTE_SEARCH_FRAME_BUDGET = 10;
+// Milliseconds of each frame spent building the next endless segment ahead.
+const GENERATOR_FRAME_BUDGET = 4;
+// Screens that play the background track; menus and the editor stay quiet.
+const MUSIC_MODES = new Set(['play', 'replay', 'complete']);
 
 const JUMP_KEYS = new Set(['Space', 'ArrowUp', 'KeyW', 'KeyZ']);
 
@@ -47,17 +77,6 @@ const ASSET_DEFINITIONS = [
       </svg>
     `),
   },
-  {
-    key: 'player-body',
-    src: svgDataUri(`
-      <svg xmlns="http://www.w3.org/2000/svg" width="128" height="128">
-        <rect x="10" y="10" width="108" height="108" rx="18" fill="#ffc947" stroke="#ff8c00" stroke-width="10"/>
-        <circle cx="48" cy="48" r="14" fill="#1b1f3b"/>
-        <rect x="68" y="38" width="30" height="20" rx="6" fill="#1b1f3b"/>
-        <rect x="38" y="70" width="52" height="26" rx="8" fill="#1b1f3b"/>
-      </svg>
-    `),
-  },
 ];
 
 class AssetManager {
@@ -91,7 +110,7 @@ class AssetManager {
 class InputManager {
   constructor(target) {
     this.jumpQueue = 0;
-    this.jumpPressedThisFrame = false;
+    this.jumpPressedThisTick = false;
     this.jumpHeld = false;
     this.pointerHeld = false;
     this.restartRequested = false;
@@ -116,6 +135,9 @@ class InputManager {
     });
 
     window.addEventListener('keydown', (event) => {
+      if (isEditableTarget(event.target)) {
+        return;
+      }
       if (JUMP_KEYS.has(event.code)) {
         if (!this.jumpHeld) {
           this.#handleJumpPress();
@@ -135,9 +157,15 @@ class InputManager {
     });
   }
 
+  reset() {
+    this.jumpQueue = 0;
+    this.jumpPressedThisTick = false;
+    this.restartRequested = false;
+  }
+
   #handleJumpPress() {
     this.jumpQueue += 1;
-    this.jumpPressedThisFrame = true;
+    this.jumpPressedThisTick = true;
   }
 
   consumeJumpRequest() {
@@ -152,8 +180,8 @@ class InputManager {
     return this.jumpHeld || this.pointerHeld;
   }
 
-  didPressJumpThisFrame() {
-    return this.jumpPressedThisFrame;
+  didPressJumpThisTick() {
+    return this.jumpPressedThisTick;
   }
 
   consumeRestartRequest() {
@@ -162,773 +190,1075 @@ class InputManager {
     return restart;
   }
 
-  finalizeFrame() {
-    this.jumpPressedThisFrame = false;
+  finalizeTick() {
+    this.jumpPressedThisTick = false;
   }
 }
 
-class Rectangle {
-  constructor(x, y, width, height) {
-    this.x = x;
-    this.y = y;
-    this.width = width;
-    this.height = height;
-  }
-
-  get left() {
-    return this.x;
-  }
-
-  get right() {
-    return this.x + this.width;
-  }
-
-  get top() {
-    return this.y;
-  }
-
-  get bottom() {
-    return this.y + this.height;
-  }
-
-  get centerX() {
-    return this.x + this.width / 2;
-  }
-
-  get centerY() {
-    return this.y + this.height / 2;
-  }
+class ParallaxLayer {
+  constructor(image, speedFactor, opacity = 1) {
+    this.image = image;
+    this.speedFactor = speedFactor;
+    this.opacity = opacity;
+    this.tinted = null;
+    this.tint = null;
+  }
+
+  /**
+   * The layer image recolored to the hue of `tint` (keeping its brightness and
+   * transparency). It is only redrawn when the tint changes, e.g. during a
+   * color trigger.
+   */
+  #tintedImage(tint) {
+    if (tint === this.tint) {
+      return this.tinted;
+    }
+    this.tinted ??= document.createElement('canvas');
+    this.tinted.width = this.image.width;
+    this.tinted.height = this.image.height;
+    const ctx = this.tinted.getContext('2d');
+    ctx.drawImage(this.image, 0, 0);
+    ctx.globalCompositeOperation = 'color';
+    ctx.fillStyle = tint;
+    ctx.fillRect(0, 0, this.image.width, this.image.height);
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(this.image, 0, 0);
+    this.tint = tint;
+    return this.tinted;
+  }
+
+  draw(ctx, scrollX, scale, viewportWidth, viewportHeight, tint) {
+    if (!this.image) {
+      return;
+    }
+    const image = this.#tintedImage(tint);
+    const patternWidth = this.image.width * scale;
+    const patternHeight = this.image.height * scale;
+    const offset = (scrollX * this.speedFactor * scale) % patternWidth;
 
-  intersects(other) {
-    return !(
-      this.right <= other.left ||
-      this.left >= other.right ||
-      this.bottom <= other.top ||
-      this.top >= other.bottom
-    );
+    ctx.save();
+    ctx.globalAlpha = this.opacity;
+    for (let x = -patternWidth; x < viewportWidth + patternWidth; x += patternWidth) {
+      for (let y = -patternHeight; y < viewportHeight + patternHeight; y += patternHeight) {
+        ctx.drawImage(image, x - offset, y, patternWidth, patternHeight);
+      }
+    }
+    ctx.restore();
   }
 }
 
-class Circle {
-  constructor(x, y, radius) {
-    this.x = x;
-    this.y = y;
-    this.radius = radius;
-  }
-
-  intersectsRect(rect) {
-    const closestX = Math.max(rect.left, Math.min(this.x, rect.right));
-    const closestY = Math.max(rect.top, Math.min(this.y, rect.bottom));
-    const dx = this.x - closestX;
-    const dy = this.y - closestY;
-    return dx * dx + dy * dy <= this.radius * this.radius;
-  }
-}
+// Every control in play, shown with F1 so it does not cover the level.
+const CONTROLS = [
+  'Space / Click to jump, hold for orbs, R to restart, Esc for menu',
+  'P practice, B to let the bot find a route, H for the death heatmap',
+  'M to edit, L to load a level or replay, E to export the level',
+  'S to save the last run as a replay, G to export your ghost',
+  'K for beat lines, V for sound, F1 to hide the controls',
+];
 
-class Player {
-  constructor(assets) {
-    this.anchorX = 260;
-    this.size = PLAYER_SIZE;
-    this.position = { x: this.anchorX, y: FLOOR_Y - this.size / 2 };
-    this.previousPosition = { x: this.position.x, y: this.position.y };
-    this.velocity = { x: 0, y: 0 };
-    this.gravityDirection = 1;
-    this.gravity = 2200;
-    this.maxFallSpeed = 1800;
-    this.maxRiseSpeed = 1200;
-    this.jumpStrength = 900;
-    this.coyoteTime = 0.08;
-    this.jumpBufferTime = 0.12;
-    this.coyoteTimer = 0;
-    this.jumpBuffer = 0;
-    this.isGrounded = false;
-    this.isAlive = true;
-    this.boostTimer = 0;
-    this.speedMultiplier = 1;
-    this.gravityScaleDuringBoost = 0.65;
-    this.assets = assets;
-    this.respawnY = this.position.y;
+class Hud {
+  constructor(run) {
+    // The `RunScore` of the run on screen.
+    this.run = run;
+    this.distance = 0;
+    this.attempt = 1;
+    this.bestDistance = 0;
+    this.runTime = 0;
+    this.bestTime = 0;
+    this.seed = 0;
+    this.levelName = null;
+    this.progress = 0;
+    this.bestProgress = 0;
+    this.practice = null;
+    this.replay = null;
+    this.route = null;
+    this.ghostLead = null;
+    this.showControls = false;
+    this.bestScore = 0;
+    // Coin keys of the level (see `levelCoins`) and those saved before.
+    this.levelCoins = [];
+    this.savedCoins = [];
+    this.results = null;
+  }
+
+  setLevel(levelName, bests = null, coins = []) {
+    this.levelName = levelName;
+    this.bestDistance = bests?.bestDistance ?? 0;
+    this.bestTime = bests?.bestTime ?? 0;
+    this.bestProgress = bests?.bestProgress ?? 0;
+    this.bestScore = bests?.bestScore ?? 0;
+    this.levelCoins = coins;
+    this.savedCoins = bests?.coins ?? [];
+  }
+
+  reset(attempt, seed) {
+    this.attempt = attempt;
+    this.seed = seed;
+    this.distance = 0;
+    this.runTime = 0;
+    this.progress = 0;
+    this.ghostLead = null;
+    this.results = null;
   }
 
-  reset() {
-    this.position = { x: this.anchorX, y: FLOOR_Y - this.size / 2 };
-    this.previousPosition = { x: this.position.x, y: this.position.y };
-    this.velocity = { x: 0, y: 0 };
-    this.gravityDirection = 1;
-    this.isGrounded = false;
-    this.isAlive = true;
-    this.coyoteTimer = 0;
-    this.jumpBuffer = 0;
-    this.boostTimer = 0;
-    this.speedMultiplier = 1;
-  }
-
-  get halfSize() {
-    return this.size / 2;
-  }
-
-  getBounds() {
-    return new Rectangle(
-      this.position.x - this.halfSize,
-      this.position.y - this.halfSize,
-      this.size,
-      this.size
-    );
-  }
-
-  getPreviousBounds() {
-    return new Rectangle(
-      this.previousPosition.x - this.halfSize,
-      this.previousPosition.y - this.halfSize,
-      this.size,
-      this.size
-    );
-  }
-
-  update(dt, input) {
-    if (!this.isAlive) {
+  /**
+   * Advances the run's readouts. As with `showResults`, only `persisted` runs
+   * count towards the bests; practice runs resume from checkpoints, so they
+   * never do.
+   */
+  update(distance, dt, progress, persisted) {
+    this.distance = distance;
+    this.runTime += dt;
+    this.progress = progress;
+    if (this.practice || !persisted) {
       return;
     }
-
-    if (input.consumeJumpRequest()) {
-      this.jumpBuffer = this.jumpBufferTime;
+    if (distance > this.bestDistance) {
+      this.bestDistance = distance;
+      this.bestTime = this.runTime;
     }
-
-    this.previousPosition = { x: this.position.x, y: this.position.y };
-
-    const gravityScale = this.boostTimer > 0 ? this.gravityScaleDuringBoost : 1;
-    const gravityForce = this.gravity * this.gravityDirection * gravityScale;
-    this.velocity.y += gravityForce * dt;
-    this.velocity.y = Math.min(this.maxFallSpeed, Math.max(-this.maxRiseSpeed, this.velocity.y));
-
-    this.position.y += this.velocity.y * dt;
-    this.jumpBuffer = Math.max(0, this.jumpBuffer - dt);
-    this.coyoteTimer = Math.max(0, this.coyoteTimer - dt);
-
-    if (this.boostTimer > 0) {
-      this.boostTimer = Math.max(0, this.boostTimer - dt);
-      if (this.boostTimer === 0) {
-        this.speedMultiplier = 1;
-      }
+    this.bestProgress = Math.max(this.bestProgress, progress);
+  }
+
+  /**
+   * Shows `results` (see `RunScore#breakdown`) on the completion screen. Only
+   * `persisted` runs, the ones the profile records, count towards the best
+   * score and the saved coins.
+   */
+  showResults(results, persisted) {
+    this.results = { ...results, isBest: persisted && results.total > this.bestScore, savedCoins: this.savedCoins };
+    if (persisted) {
+      this.bestScore = Math.max(this.bestScore, results.total);
+      this.savedCoins = [...new Set([...this.savedCoins, ...this.run.coins])];
     }
   }
 
-  postResolve() {
-    if (!this.isAlive) {
-      return;
+  draw(ctx, viewportWidth) {
+    ctx.save();
+    ctx.font = '16px "Segoe UI", sans-serif';
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textBaseline = 'top';
+    const lines = this.levelName === null
+      ? [
+        `Attempt: ${this.attempt}`,
+        `Distance: ${Math.floor(this.distance).toLocaleString()}m`,
+        `Time: ${this.runTime.toFixed(1)}s`,
+        `Best: ${Math.floor(this.bestDistance).toLocaleString()}m in ${this.bestTime.toFixed(1)}s`,
+        `Seed: ${this.seed}`,
+      ]
+      : [
+        this.levelName,
+        `Attempt: ${this.attempt}`,
+        `Time: ${this.runTime.toFixed(1)}s`,
+        `Best: ${Math.floor(this.bestProgress * 100)}%`,
+      ];
+    // Practice respawns rewind the level but not the tally, so it is hidden.
+    if (!this.practice) {
+      lines.push(`Score: ${this.run.breakdown({ distance: this.distance }).total.toLocaleString()}`);
+      if (this.levelCoins.length > 0) {
+        lines.push(`Coins: ${this.run.coins.length}/${this.levelCoins.length}`);
+      }
     }
-    if (this.jumpBuffer > 0 && (this.isGrounded || this.coyoteTimer > 0)) {
-      this.performJump(this.jumpStrength);
-      this.jumpBuffer = 0;
+    if (this.ghostLead !== null) {
+      const lead = Math.abs(this.ghostLead / 10).toFixed(1);
+      lines.push(this.ghostLead >= 0 ? `Ghost: ${lead}m ahead` : `Ghost: ${lead}m behind`);
     }
-  }
-
-  performJump(strength) {
-    this.velocity.y = -strength * this.gravityDirection;
-    this.isGrounded = false;
-    this.coyoteTimer = 0;
-  }
-
-  performOrbJump(power) {
-    this.velocity.y = -power * this.gravityDirection;
-    this.isGrounded = false;
-    this.coyoteTimer = 0;
-  }
-
-  land(surfaceY) {
-    if (this.gravityDirection === 1) {
-      this.position.y = surfaceY - this.halfSize;
+    if (this.practice) {
+      const auto = this.practice.autoPlace ? 'on' : 'off';
+      lines.push(`Practice: ${this.practice.checkpoints.length} checkpoints (C place, X remove, A auto: ${auto}, P to leave)`);
+    }
+    if (this.route) {
+      lines.push(
+        this.route.solved
+          ? 'Watching the route the bot found (R to watch again, S to save, Esc for menu)'
+          : `The bot found no way past x=${Math.round(this.route.blockedX)}; watching its furthest attempt (R to watch again, S to save, Esc for menu)`
+      );
+    } else if (this.replay) {
+      lines.push(`Watching a replay of a run that ${this.replay.outcome} (R to watch again, S to save, Esc for menu)`);
+    } else if (this.showControls) {
+      lines.push(...CONTROLS);
     } else {
-      this.position.y = surfaceY + this.halfSize;
+      lines.push('Space / Click to jump, R to restart, Esc for menu, F1 for all controls');
     }
-    this.velocity.y = 0;
-    this.isGrounded = true;
-    this.coyoteTimer = this.coyoteTime;
+    lines.forEach((line, index) => {
+      ctx.fillText(line, 20, 20 + index * 20);
+    });
+
+    if (this.levelName !== null) {
+      this.#drawProgressBar(ctx, viewportWidth);
+    }
+    ctx.restore();
   }
 
-  die() {
-    this.isAlive = false;
+  #drawProgressBar(ctx, viewportWidth) {
+    const width = Math.min(480, viewportWidth * 0.4);
+    const height = 14;
+    const x = (viewportWidth - width) / 2;
+    const y = 20;
+    ctx.fillStyle = 'rgba(11, 19, 43, 0.8)';
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = '#7bd88f';
+    ctx.fillRect(x, y, width * this.progress, height);
+    ctx.strokeStyle = '#f8f9fa';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, width, height);
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${Math.floor(this.progress * 100)}%`, x + width + 10, y - 2);
   }
 
-  applyBoost({ multiplier, duration, gravityScale }) {
-    this.speedMultiplier = Math.max(multiplier ?? 1, this.speedMultiplier);
-    this.boostTimer = Math.max(duration ?? 0, this.boostTimer);
-    if (gravityScale) {
-      this.gravityScaleDuringBoost = gravityScale;
+  drawCompletion(ctx, viewportWidth, viewportHeight) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(5, 12, 26, 0.75)';
+    ctx.fillRect(0, 0, viewportWidth, viewportHeight);
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const centerX = viewportWidth / 2;
+    const centerY = viewportHeight / 2;
+    ctx.font = 'bold 40px "Segoe UI", sans-serif';
+    const results = this.practice ? null : this.results;
+    const top = results ? centerY - 230 : centerY - 90;
+    ctx.fillText(this.practice ? 'Practice Complete!' : 'Level Complete!', centerX, top);
+    ctx.font = '20px "Segoe UI", sans-serif';
+    const lines = [
+      this.levelName,
+      `Attempts: ${this.attempt}`,
+      `Time: ${this.runTime.toFixed(1)}s`,
+      `Best: ${Math.floor(this.bestProgress * 100)}%`,
+    ];
+    lines.forEach((line, index) => {
+      ctx.fillText(line, centerX, top + 60 + index * 30);
+    });
+    let y = top + 60 + lines.length * 30;
+    if (results) {
+      y = this.#drawResults(ctx, centerX, y + 10, results);
     }
+    ctx.font = '16px "Segoe UI", sans-serif';
+    ctx.fillText('Space to play again, S to save the replay, Esc for menu', centerX, y + 20);
+    ctx.restore();
   }
 
-  flipGravity(targetDirection) {
-    const newDirection = targetDirection ?? -this.gravityDirection;
-    if (newDirection === this.gravityDirection) {
-      return;
+  /**
+   * The coins of the level, lit if this run collected them and faded if an
+   * earlier completion did, then the score by source. Returns the y below.
+   */
+  #drawResults(ctx, centerX, top, results) {
+    let y = top;
+    if (this.levelCoins.length > 0) {
+      const spacing = 56;
+      const firstX = centerX - ((this.levelCoins.length - 1) * spacing) / 2;
+      this.levelCoins.forEach((key, position) => {
+        const collected = this.run.coins.includes(key);
+        const saved = results.savedCoins.includes(key);
+        ctx.globalAlpha = collected || !saved ? 1 : 0.4;
+        drawCoin(ctx, firstX + position * spacing, y + 20, 20, collected || saved ? COIN_COLORS.collected : COIN_COLORS.missing);
+      });
+      ctx.globalAlpha = 1;
+      const found = this.levelCoins.filter((key) => this.run.coins.includes(key) && !results.savedCoins.includes(key));
+      ctx.fillStyle = '#f8f9fa';
+      ctx.fillText(
+        `Coins: ${this.run.coins.length}/${this.levelCoins.length}${found.length > 0 ? ` (${found.length} new)` : ''}`,
+        centerX,
+        y + 60
+      );
+      y += 90;
     }
-    this.gravityDirection = newDirection;
-    this.velocity.y = 0;
-    if (newDirection === 1) {
-      this.position.y = Math.min(this.position.y, FLOOR_Y - this.halfSize);
-    } else {
-      this.position.y = Math.max(this.position.y, CEILING_Y + this.halfSize);
+    const parts = [
+      ['Distance', results.distance],
+      ['Coins', results.coins],
+      ['Orbs', results.orbs],
+      ['Completion', results.completion],
+      ['No deaths', results.noDeath],
+    ].filter(([, points]) => points > 0);
+    ctx.font = '16px "Segoe UI", sans-serif';
+    for (const [label, points] of parts) {
+      ctx.fillText(`${label}: +${points.toLocaleString()}`, centerX, y);
+      y += 24;
     }
-    this.isGrounded = false;
-    this.coyoteTimer = 0;
+    ctx.font = 'bold 24px "Segoe UI", sans-serif';
+    ctx.fillText(`Score: ${results.total.toLocaleString()}`, centerX, y + 10);
+    ctx.font = '16px "Segoe UI", sans-serif';
+    ctx.fillText(results.isBest ? 'New best score!' : `Best score: ${this.bestScore.toLocaleString()}`, centerX, y + 40);
+    return y + 60;
   }
 
-  draw(ctx, assets, scale, scrollX) {
-    const sprite = assets.get('player-body');
-    const bounds = this.getBounds();
-    const screenX = (bounds.left - scrollX) * scale;
-    const screenY = bounds.top * scale;
-    const size = this.size * scale;
-
+  drawRouteSearch(ctx, viewportWidth, viewportHeight, progress) {
     ctx.save();
-    ctx.translate(screenX + size / 2, screenY + size / 2);
-    ctx.rotate(this.gravityDirection === 1 ? 0 : Math.PI);
-    ctx.translate(-size / 2, -size / 2);
-    if (sprite) {
-      ctx.drawImage(sprite, 0, 0, size, size);
-    } else {
-      ctx.fillStyle = '#ffc947';
-      ctx.fillRect(0, 0, size, size);
-    }
+    ctx.fillStyle = 'rgba(5, 12, 26, 0.6)';
+    ctx.fillRect(0, 0, viewportWidth, viewportHeight);
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 32px "Segoe UI", sans-serif';
+    ctx.fillText(`Searching for a route… ${Math.floor(progress * 100)}%`, viewportWidth / 2, viewportHeight / 2 - 20);
+    ctx.font = '16px "Segoe UI", sans-serif';
+    ctx.fillText('Esc to cancel', viewportWidth / 2, viewportHeight / 2 + 24);
     ctx.restore();
   }
 }
 
-class SegmentEntity {
-  constructor(template) {
-    this.type = template.type;
-    this.x = template.x;
-    this.y = template.y;
-    this.width = template.width ?? 0;
-    this.height = template.height ?? 0;
-    this.radius = template.radius ?? 0;
-    this.orientation = template.orientation ?? 'up';
-    this.properties = template.properties ? { ...template.properties } : {};
-    this.cooldown = 0;
+class TitleMenu {
+  constructor(levels) {
+    this.options = [
+      { label: 'Endless', definition: null },
+      ...levels.map((definition) => ({ label: definition.metadata.name, definition })),
+    ];
   }
 
-  reset() {
-    this.cooldown = 0;
+  optionForKey(key) {
+    return this.options[Number(key) - 1] ?? null;
   }
 
-  updateCooldown(dt) {
-    if (this.cooldown > 0) {
-      this.cooldown = Math.max(0, this.cooldown - dt);
-    }
+  draw(ctx, viewportWidth, viewportHeight) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(5, 12, 26, 0.6)';
+    ctx.fillRect(0, 0, viewportWidth, viewportHeight);
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const centerX = viewportWidth / 2;
+    let y = viewportHeight / 2 - 40 - this.options.length * 16;
+    ctx.font = 'bold 40px "Segoe UI", sans-serif';
+    ctx.fillText('My Own Geometry Dash', centerX, y);
+    y += 60;
+    ctx.font = '20px "Segoe UI", sans-serif';
+    this.options.forEach((option, index) => {
+      ctx.fillText(`${index + 1}  ${option.label}`, centerX, y + index * 32);
+    });
+    y += this.options.length * 32 + 30;
+    ctx.font = '16px "Segoe UI", sans-serif';
+    ctx.fillText('Press a number to play, L to load a level file, M to open the editor, T for your stats', centerX, y);
+    ctx.restore();
   }
 }
 
-class LevelSegment {
-  constructor(template) {
-    this.template = template;
-    this.entities = template.entities.map((entity) => new SegmentEntity(entity));
-    this.offset = 0;
-  }
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = Math.floor(seconds % 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${rest}s`;
+}
 
-  reset(offset) {
-    this.offset = offset;
-    this.entities.forEach((entity) => entity.reset());
+/**
+ * Per-segment death rates shown next to the death heatmap, deadliest first.
+ */
+class AnalyticsTable {
+  draw(ctx, viewportWidth, rows, labelFor) {
+    const width = 420;
+    const rowHeight = 22;
+    const visibleRows = rows.slice(0, 12);
+    const x = viewportWidth - width - 20;
+    const y = 60;
+    ctx.save();
+    ctx.fillStyle = 'rgba(11, 19, 43, 0.85)';
+    ctx.fillRect(x, y, width, 50 + Math.max(1, visibleRows.length) * rowHeight);
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 16px "Segoe UI", sans-serif';
+    ctx.fillText('Deaths per segment (H to hide)', x + 12, y + 10);
+    ctx.font = '14px "Segoe UI", sans-serif';
+    if (visibleRows.length === 0) {
+      ctx.fillText('No runs recorded yet.', x + 12, y + 38);
+    }
+    visibleRows.forEach((row, index) => {
+      const rate = `${Math.round(row.rate * 100)}%`;
+      const worst = row.worstHazard ? `, worst ${row.worstHazard} (${row.worstCount})` : '';
+      ctx.fillText(
+        `${labelFor(row.segment)}: ${rate} – ${row.deaths} deaths / ${row.visits} visits${worst}`,
+        x + 12,
+        y + 38 + index * rowHeight
+      );
+    });
+    ctx.restore();
   }
+}
 
-  get end() {
-    return this.offset + this.template.width;
+class StatsScreen {
+  draw(ctx, viewportWidth, viewportHeight, profile) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(5, 12, 26, 0.85)';
+    ctx.fillRect(0, 0, viewportWidth, viewportHeight);
+    ctx.fillStyle = '#f8f9fa';
+    ctx.textBaseline = 'top';
+    const left = Math.max(20, viewportWidth / 2 - 320);
+    let y = 40;
+    ctx.font = 'bold 32px "Segoe UI", sans-serif';
+    ctx.fillText('Stats', left, y);
+    y += 56;
+
+    const { totals } = profile;
+    ctx.font = '18px "Segoe UI", sans-serif';
+    const summary = [
+      `Attempts: ${totals.attempts.toLocaleString()}`,
+      `Jumps: ${totals.jumps.toLocaleString()}`,
+      `Orbs used: ${totals.orbUses.toLocaleString()}`,
+      `Deaths: ${totals.deaths.toLocaleString()}`,
+      `Play time: ${formatDuration(totals.playTime)}`,
+    ];
+    const hazards = Object.entries(profile.deathsByHazard).sort((a, b) => b[1] - a[1]);
+    if (hazards.length > 0) {
+      summary.push(`Deaths by hazard: ${hazards.map(([type, count]) => `${type} ${count}`).join(', ')}`);
+    }
+    for (const line of summary) {
+      ctx.fillText(line, left, y);
+      y += 26;
+    }
+
+    y += 20;
+    ctx.font = 'bold 18px "Segoe UI", sans-serif';
+    ctx.fillText('Levels', left, y);
+    y += 30;
+    ctx.font = '16px "Segoe UI", sans-serif';
+    const levels = Object.entries(profile.levels);
+    if (levels.length === 0) {
+      ctx.fillText('Nothing played yet.', left, y);
+      y += 24;
+    }
+    for (const [key, stats] of levels) {
+      const best = key === 'endless'
+        ? `best ${Math.floor(stats.bestDistance).toLocaleString()}m in ${stats.bestTime.toFixed(1)}s`
+        : `best ${Math.floor(stats.bestProgress * 100)}%${stats.completions > 0 ? `, fastest ${stats.bestTime.toFixed(1)}s` : ''}`;
+      const coins = stats.coins.length > 0 ? `, ${stats.coins.length} ${stats.coins.length === 1 ? 'coin' : 'coins'}` : '';
+      ctx.fillText(
+        `${stats.name}: ${stats.attempts} attempts, ${stats.completions} completions, ${best}, score ${stats.bestScore.toLocaleString()}${coins}`,
+        left,
+        y
+      );
+      y += 24;
+    }
+
+    y += 30;
+    ctx.fillText('X to export your profile, L to import one, Esc for menu', left, y);
+    ctx.restore();
   }
 }
 
-const SEGMENT_LIBRARY = [
-  {
-    width: 1400,
-    entities: [
-      { type: 'platform', x: 280, y: FLOOR_Y - 160, width: 200, height: 32 },
-      { type: 'platform', x: 620, y: FLOOR_Y - 220, width: 220, height: 32 },
-      { type: 'platform', x: 940, y: FLOOR_Y - 320, width: 180, height: 32 },
-      { type: 'spike', x: 540, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
-      { type: 'spike', x: 860, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
-      {
-        type: 'booster',
-        x: 320,
-        y: FLOOR_Y - 120,
-        width: 80,
-        height: 80,
-        properties: { multiplier: 1.35, duration: 1.2, gravityScale: 0.55 },
-      },
-      { type: 'orb', x: 720, y: FLOOR_Y - 240, radius: 28, properties: { power: 1050, cooldown: 0.35 } },
-      { type: 'portal', x: 1120, y: FLOOR_Y - 200, width: 64, height: 200, properties: { gravity: -1, cooldown: 1 } },
-    ],
-  },
-  {
-    width: 1200,
-    entities: [
-      { type: 'platform', x: 120, y: CEILING_Y + 120, width: 240, height: 32 },
-      { type: 'platform', x: 480, y: CEILING_Y + 180, width: 200, height: 32 },
-      { type: 'platform', x: 820, y: CEILING_Y + 130, width: 280, height: 32 },
-      { type: 'spike', x: 360, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
-      { type: 'spike', x: 700, y: CEILING_Y, width: 60, height: 60, orientation: 'down' },
-      { type: 'orb', x: 520, y: CEILING_Y + 220, radius: 26, properties: { power: 980, cooldown: 0.4 } },
-      { type: 'booster', x: 900, y: CEILING_Y + 150, width: 76, height: 76, properties: { multiplier: 1.2, duration: 1.1, gravityScale: 0.75 } },
-      { type: 'portal', x: 1000, y: CEILING_Y, width: 60, height: 180, properties: { gravity: 1, cooldown: 1 } },
-    ],
-  },
-  {
-    width: 1360,
-    entities: [
-      { type: 'platform', x: 180, y: FLOOR_Y - 140, width: 200, height: 32 },
-      { type: 'platform', x: 520, y: FLOOR_Y - 220, width: 240, height: 32 },
-      { type: 'platform', x: 880, y: FLOOR_Y - 160, width: 200, height: 32 },
-      { type: 'platform', x: 1080, y: FLOOR_Y - 260, width: 180, height: 32 },
-      { type: 'spike', x: 420, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
-      { type: 'spike', x: 760, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
-      { type: 'spike', x: 1020, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
-      { type: 'orb', x: 640, y: FLOOR_Y - 260, radius: 30, properties: { power: 1100, cooldown: 0.3 } },
-      {
-        type: 'booster',
-        x: 260,
-        y: FLOOR_Y - 120,
-        width: 80,
-        height: 80,
-        properties: { multiplier: 1.25, duration: 1.4, gravityScale: 0.6 },
-      },
-    ],
-  },
-  {
-    width: 1280,
-    entities: [
-      { type: 'platform', x: 160, y: FLOOR_Y - 200, width: 180, height: 32 },
-      { type: 'platform', x: 480, y: FLOOR_Y - 280, width: 200, height: 32 },
-      { type: 'platform', x: 800, y: FLOOR_Y - 220, width: 220, height: 32 },
-      { type: 'platform', x: 1080, y: FLOOR_Y - 320, width: 160, height: 32 },
-      { type: 'orb', x: 380, y: FLOOR_Y - 320, radius: 26, properties: { power: 1120, cooldown: 0.35 } },
-      { type: 'orb', x: 960, y: FLOOR_Y - 360, radius: 28, properties: { power: 1180, cooldown: 0.35 } },
-      { type: 'spike', x: 560, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
-      { type: 'spike', x: 900, y: FLOOR_Y - 64, width: 64, height: 64, orientation: 'up' },
-      { type: 'booster', x: 680, y: FLOOR_Y - 120, width: 80, height: 80, properties: { multiplier: 1.3, duration: 1.3, gravityScale: 0.6 } },
-    ],
-  },
-];
+class Game {
+  constructor(canvas, assets, { seed = null } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.input = new InputManager(canvas);
+    // Live runs read jumps through the recorder so the saved replay feeds the
+    // simulation exactly the inputs the player saw.
+    this.recorder = new ReplayRecorder(this.input);
+    this.lastReplay = null;
+    this.replay = null;
+    this.replayInput = null;
+    this.routeSearch = null;
+    this.ghostRecorder = new GhostRecorder();
+    this.ghost = null;
+    this.ghostKey = null;
+    this.simulation = new Simulation(SEGMENT_LIBRARY);
+    this.generator = new SegmentGenerator();
+    this.player = this.simulation.player;
+    this.level = this.simulation.level;
+    this.level.setTemplates(SEGMENT_LIBRARY, {}, { generator: this.generator });
+    this.runScore = new RunScore();
+    this.hud = new Hud(this.runScore);
+    this.menu = new TitleMenu(LEVEL_LIBRARY);
+    this.profile = loadProfile();
+    this.statsScreen = new StatsScreen();
+    this.analytics = null;
+    this.analyticsKey = null;
+    this.analyticsTable = new AnalyticsTable();
+    this.showAnalytics = false;
+    this.debug = new DebugOverlay();
+    this.audio = new AudioEngine(loadAudioSettings());
+    this.mixer = new AudioMixer(this.audio);
+    // Song timing of the current level (null in endless mode) and whether its
+    // beat lines and metronome are on.
+    this.timing = null;
+    this.showBeats = false;
+    this.parallaxLayers = [
+      new ParallaxLayer(assets.get('layer-stars'), 0.08, 0.7),
+      new ParallaxLayer(assets.get('layer-hills'), 0.18, 0.9),
+      new ParallaxLayer(assets.get('layer-foreground'), 0.3, 0.9),
+    ];
+    this.viewportWidth = window.innerWidth;
+    this.viewportHeight = window.innerHeight;
+    this.scale = 1;
+    this.lastTimestamp = 0;
+    this.accumulator = 0;
+    this.animationFrame = 0;
+    this.isRunning = false;
+    this.attempt = 1;
+    // A seed from the URL pins every attempt to the same run; otherwise each
+    // attempt rolls a fresh one that is shown in the HUD for sharing.
+    this.fixedSeed = seed;
+    this.levelDefinition = null;
+    this.startX = 0;
+    this.practice = null;
+    this.mode = seed === null ? 'menu' : 'play';
+    this.resetTimer = 0;
+    this.editor = new Editor(canvas, {
+      onPlaytest: (definition, startX) => this.playtest(definition, startX),
+    });
 
-class ParallaxLayer {
-  constructor(image, speedFactor, opacity = 1) {
-    this.image = image;
-    this.speedFactor = speedFactor;
-    this.opacity = opacity;
+    setupLevelFiles(canvas, {
+      onLoad: (definition) => this.loadLevel(definition),
+      onReplay: (replay) => this.playReplay(replay),
+      onGhost: (ghost) => this.importGhost(ghost),
+      onProfile: (profile) => this.importProfile(profile),
+      onError: (error) => this.reportLevelError(error),
+      onExport: () => this.exportLevel(),
+    });
+    window.addEventListener('keydown', (event) => this.#handleKeyDown(event));
+    window.addEventListener('resize', () => this.resizeCanvas());
+    // Browsers only start audio from a user gesture.
+    window.addEventListener('pointerdown', () => this.audio.unlock());
+    window.addEventListener('keydown', () => this.audio.unlock());
+    window.addEventListener('blur', () => this.audio.setBackgrounded(true));
+    window.addEventListener('focus', () => this.audio.setBackgrounded(false));
+    document.addEventListener('visibilitychange', () => this.audio.setBackgrounded(document.hidden));
+    window.addEventListener('pagehide', () => {
+      saveProfile(this.profile);
+      if (this.analytics) {
+        saveAnalytics(this.analyticsKey, this.analytics);
+      }
+    });
+    this.resizeCanvas();
+    this.reset();
   }
 
-  draw(ctx, scrollX, scale, viewportWidth, viewportHeight) {
-    if (!this.image) {
-      return;
+  resizeCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    this.viewportWidth = window.innerWidth;
+    this.viewportHeight = window.innerHeight;
+    if (this.canvas.width !== this.viewportWidth * ratio || this.canvas.height !== this.viewportHeight * ratio) {
+      this.canvas.width = this.viewportWidth * ratio;
+      this.canvas.height = this.viewportHeight * ratio;
+      this.canvas.style.width = `${this.viewportWidth}px`;
+      this.canvas.style.height = `${this.viewportHeight}px`;
     }
-    const patternWidth = this.image.width * scale;
-    const patternHeight = this.image.height * scale;
-    const offset = (scrollX * this.speedFactor * scale) % patternWidth;
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.scale(ratio, ratio);
+    this.scale = this.viewportHeight / WORLD_HEIGHT;
+    this.level.setViewport(this.viewportWidth / this.scale);
+    this.editor.setViewport(this.scale, this.viewportWidth / this.scale);
+  }
 
-    ctx.save();
-    ctx.globalAlpha = this.opacity;
-    for (let x = -patternWidth; x < viewportWidth + patternWidth; x += patternWidth) {
-      for (let y = -patternHeight; y < viewportHeight + patternHeight; y += patternHeight) {
-        ctx.drawImage(this.image, x - offset, y, patternWidth, patternHeight);
-      }
+  reset() {
+    clearTimeout(this.resetTimer);
+    this.input.reset();
+    this.recorder.reset();
+    this.practice?.reset();
+    this.runScore.reset();
+    this.simulation.reset(this.fixedSeed ?? createRandomSeed(), this.startX);
+    this.audio.seekMusic(this.#songTime());
+    this.hud.reset(this.attempt, this.simulation.seed);
+    this.#prepareGhost();
+    this.#prepareAnalytics();
+    if (this.mode === 'play') {
+      this.profile.recordAttempt(this.#profileKey(), this.#profileName());
     }
-    ctx.restore();
+    this.lastTimestamp = performance.now();
+    this.accumulator = 0;
+    this.isRunning = true;
   }
-}
 
-class Level {
-  constructor(templates) {
-    this.templates = templates;
-    this.activeSegments = [];
-    this.baseSpeed = 360;
-    this.currentSpeed = this.baseSpeed;
-    this.scrollX = 0;
-    this.viewportWorldWidth = 1280;
-    this.recycleMargin = 640;
+  respawn() {
+    if (!this.practice?.respawn(this.simulation)) {
+      this.reset();
+      return;
+    }
+    this.input.reset();
+    this.recorder.reset();
+    this.audio.seekMusic(this.#songTime());
+    this.analytics.beginRun();
+    this.profile.recordAttempt(this.#profileKey(), this.#profileName());
+    this.hud.attempt = this.attempt;
+    this.hud.runTime = this.simulation.time;
+    this.lastTimestamp = performance.now();
+    this.accumulator = 0;
+    this.isRunning = true;
   }
 
-  setViewport(worldWidth) {
-    this.viewportWorldWidth = worldWidth;
-    this.recycleMargin = Math.max(400, worldWidth * 0.75);
+  /**
+   * Where the song should be for the current tick: the level's song time at
+   * the start position plus the time played since. Checkpoints restore the
+   * simulation time, so practice respawns resume the song in the right place.
+   */
+  #songTime() {
+    const startX = Math.max(this.startX, this.player.anchorX);
+    return (this.timing?.songTimeAt(startX) ?? 0) + this.simulation.time;
   }
 
-  reset() {
-    this.scrollX = 0;
-    this.currentSpeed = this.baseSpeed;
-    this.activeSegments = [];
-    let offset = 0;
-    for (let index = 0; index < 4; index += 1) {
-      const template = this.templates[index % this.templates.length];
-      const segment = new LevelSegment(template);
-      segment.reset(offset);
-      this.activeSegments.push(segment);
-      offset += template.width;
-    }
-  }
-
-  pickNextTemplate() {
-    const randomIndex = Math.floor(Math.random() * this.templates.length);
-    return this.templates[randomIndex];
-  }
-
-  update(dt, player) {
-    const targetSpeed = this.baseSpeed * player.speedMultiplier;
-    const smoothing = 1 - Math.exp(-dt * 6);
-    this.currentSpeed += (targetSpeed - this.currentSpeed) * smoothing;
-    this.scrollX += this.currentSpeed * dt;
-
-    const recycleThreshold = this.scrollX - this.recycleMargin;
-    let lastSegment = this.activeSegments[this.activeSegments.length - 1];
-    while (this.activeSegments.length > 0 && this.activeSegments[0].end < recycleThreshold) {
-      const recycled = this.activeSegments.shift();
-      const template = this.pickNextTemplate();
-      recycled.template = template;
-      recycled.entities = template.entities.map((entity) => new SegmentEntity(entity));
-      recycled.reset(lastSegment.end);
-      this.activeSegments.push(recycled);
-      lastSegment = recycled;
-    }
-  }
-
-  resolvePlayer(player, input, dt) {
-    let playerRect = player.getBounds();
-    const previousRect = player.getPreviousBounds();
-
-    if (player.gravityDirection === 1) {
-      if (playerRect.bottom >= FLOOR_Y) {
-        player.land(FLOOR_Y);
-        playerRect = player.getBounds();
-      }
-    } else if (playerRect.top <= CEILING_Y) {
-      player.land(CEILING_Y);
-      playerRect = player.getBounds();
-    }
+  #setTiming(definition) {
+    this.timing = definition ? new LevelTiming(definition.music, definition.entities) : null;
+    this.audio.setTempo(this.timing?.bpm);
+  }
 
-    const visibleStart = this.scrollX - this.recycleMargin;
-    const visibleEnd = this.scrollX + this.viewportWorldWidth + this.recycleMargin;
+  togglePractice() {
+    this.practice = this.practice ? null : new PracticeSession();
+    this.hud.practice = this.practice;
+    this.attempt = 1;
+    this.reset();
+  }
 
-    for (const segment of this.activeSegments) {
-      if (segment.end < visibleStart || segment.offset > visibleEnd) {
-        continue;
+  #handleKeyDown(event) {
+    if (isEditableTarget(event.target)) {
+      return;
+    }
+    if (this.debug.handleKey(event.code)) {
+      event.preventDefault();
+      return;
+    }
+    if (this.mode === 'edit' && this.editor.handleKey(event)) {
+      return;
+    }
+    if (event.code === 'KeyM') {
+      this.toggleEditor();
+      return;
+    }
+    if (event.code === 'KeyV') {
+      this.mixer.toggle();
+      return;
+    }
+    if (event.code === 'KeyK' && this.mode !== 'menu' && this.mode !== 'stats') {
+      this.showBeats = !this.showBeats;
+      this.audio.metronome = this.showBeats;
+      return;
+    }
+    switch (this.mode) {
+      case 'menu': {
+        if (event.code === 'KeyT') {
+          this.mode = 'stats';
+          break;
+        }
+        const option = this.menu.optionForKey(event.key);
+        if (option?.definition) {
+          this.loadLevel(option.definition);
+        } else if (option) {
+          this.startEndless();
+        }
+        break;
       }
-      for (const entity of segment.entities) {
-        entity.updateCooldown(dt);
-        switch (entity.type) {
-          case 'platform':
-            this.#resolvePlatform(player, entity, segment.offset, playerRect, previousRect);
+      case 'play':
+        switch (event.code) {
+          case 'Escape':
+            this.openMenu();
             break;
-          case 'spike':
-            if (this.#checkSpikeCollision(playerRect, segment.offset, entity)) {
-              player.die();
-              return;
-            }
+          case 'KeyP':
+            this.togglePractice();
             break;
-          case 'booster':
-            if (this.#checkEntityOverlap(playerRect, segment.offset, entity) && entity.cooldown === 0) {
-              player.applyBoost({
-                multiplier: entity.properties.multiplier ?? 1.2,
-                duration: entity.properties.duration ?? 1,
-                gravityScale: entity.properties.gravityScale ?? 0.7,
-              });
-              entity.cooldown = (entity.properties.cooldown ?? entity.properties.duration ?? 1) + 0.2;
-            }
+          case 'KeyC':
+            this.practice?.place(this.simulation);
             break;
-          case 'orb':
-            if (entity.cooldown === 0 && this.#checkOrbCollision(playerRect, segment.offset, entity)) {
-              if (input.didPressJumpThisFrame() || input.isJumpHeld()) {
-                player.performOrbJump(entity.properties.power ?? 1000);
-                entity.cooldown = entity.properties.cooldown ?? 0.3;
-              }
-            }
+          case 'KeyX':
+            this.practice?.removeLast();
             break;
-          case 'portal':
-            if (this.#checkEntityOverlap(playerRect, segment.offset, entity) && entity.cooldown === 0) {
-              player.flipGravity(entity.properties.gravity);
-              entity.cooldown = entity.properties.cooldown ?? 0.8;
-              playerRect = player.getBounds();
+          case 'KeyA':
+            if (this.practice) {
+              this.practice.autoPlace = !this.practice.autoPlace;
             }
             break;
+          case 'KeyS':
+            this.saveReplay();
+            break;
+          case 'KeyG':
+            this.exportGhost();
+            break;
+          case 'KeyH':
+            this.showAnalytics = !this.showAnalytics;
+            break;
+          case 'KeyB':
+            this.findRoute();
+            break;
+          case 'F1':
+            // Browsers open their own help page on F1.
+            event.preventDefault();
+            this.hud.showControls = !this.hud.showControls;
+            break;
           default:
             break;
         }
-      }
+        break;
+      case 'complete':
+        if (event.code === 'Space' || event.code === 'Enter' || event.code === 'KeyR') {
+          this.attempt = 1;
+          this.mode = 'play';
+          this.reset();
+        } else if (event.code === 'KeyS') {
+          this.saveReplay();
+        } else if (event.code === 'KeyG') {
+          this.exportGhost();
+        } else if (event.code === 'KeyH') {
+          this.showAnalytics = !this.showAnalytics;
+        } else if (event.code === 'KeyB') {
+          this.findRoute();
+        } else if (event.code === 'Escape') {
+          this.openMenu();
+        }
+        break;
+      case 'search':
+        if (event.code === 'Escape') {
+          this.routeSearch = null;
+          this.mode = 'play';
+          this.reset();
+        }
+        break;
+      case 'stats':
+        if (event.code === 'KeyX') {
+          downloadProfile(this.profile);
+        } else if (event.code === 'Escape') {
+          this.openMenu();
+        }
+        break;
+      case 'replay':
+        if (event.code === 'KeyR') {
+          this.restartReplay();
+        } else if (event.code === 'KeyS') {
+          downloadReplay(this.replay);
+        } else if (event.code === 'Escape') {
+          this.openMenu();
+        }
+        break;
+      default:
+        break;
     }
+  }
 
-    if (player.isGrounded && player.gravityDirection === 1 && player.getBounds().bottom > FLOOR_Y) {
-      player.land(FLOOR_Y);
+  openMenu() {
+    if (this.mode === 'play' && this.isRunning) {
+      this.#finishRun('abandoned');
     }
-    if (player.isGrounded && player.gravityDirection === -1 && player.getBounds().top < CEILING_Y) {
-      player.land(CEILING_Y);
+    clearTimeout(this.resetTimer);
+    this.isRunning = false;
+    this.#leaveReplay();
+    this.mode = 'menu';
+  }
+
+  startEndless() {
+    this.#leaveReplay();
+    this.levelDefinition = null;
+    this.level.setTemplates(SEGMENT_LIBRARY, {}, { generator: this.generator });
+    this.#setTiming(null);
+    this.hud.setLevel(null, this.profile.levels.endless);
+    this.startX = 0;
+    this.attempt = 1;
+    this.mode = 'play';
+    this.reset();
+  }
+
+  loadLevel(definition, startX = 0) {
+    this.#leaveReplay();
+    this.levelDefinition = definition;
+    this.level.setTemplates(levelToTemplates(definition), definition.colors, { finite: true });
+    this.#setTiming(definition);
+    this.hud.setLevel(definition.metadata.name, this.profile.levels[ghostKey(definition, 0)], levelCoins(definition));
+    this.startX = startX;
+    this.attempt = 1;
+    if (this.mode === 'edit') {
+      this.editor.open(definition);
+    } else {
+      this.mode = 'play';
+      this.reset();
     }
   }
 
-  #resolvePlatform(player, entity, offset, currentRect, previousRect) {
-    const rect = new Rectangle(
-      offset + entity.x,
-      entity.y,
-      entity.width,
-      entity.height
-    );
+  toggleEditor() {
+    if (this.mode !== 'edit') {
+      this.mode = 'edit';
+      clearTimeout(this.resetTimer);
+      this.isRunning = false;
+      const definition = this.levelDefinition ?? templatesToLevel(SEGMENT_LIBRARY, { name: 'Untitled level' });
+      this.editor.open(definition, this.level.scrollX);
+    } else {
+      this.playtest(this.editor.definition, 0);
+    }
+  }
 
-    if (!currentRect.intersects(rect)) {
+  playtest(definition, startX) {
+    let validated;
+    try {
+      validated = parseLevel(definition);
+    } catch (error) {
+      this.reportLevelError(error);
       return;
     }
-
-    if (player.gravityDirection === 1) {
-      const wasAbove = previousRect.bottom <= rect.top + Math.abs(player.velocity.y) * 0.02;
-      if (wasAbove && currentRect.bottom >= rect.top) {
-        player.land(rect.top);
-        const updated = player.getBounds();
-        currentRect.x = updated.x;
-        currentRect.y = updated.y;
-        currentRect.width = updated.width;
-        currentRect.height = updated.height;
-      }
+    this.editor.close();
+    this.mode = 'play';
+    this.loadLevel(validated, startX);
+  }
+
+  /**
+   * Plays a recorded run back from its own level, seed and start position,
+   * feeding the simulation the recorded jump events instead of live input.
+   */
+  playReplay(replay) {
+    if (this.mode === 'edit') {
+      this.editor.close();
+    }
+    this.replay = replay;
+    this.hud.replay = replay;
+    this.hud.route = null;
+    this.practice = null;
+    this.hud.practice = null;
+    this.levelDefinition = replay.level;
+    this.#setTiming(replay.level);
+    if (replay.level) {
+      this.level.setTemplates(levelToTemplates(replay.level), replay.level.colors, { finite: true });
+      this.hud.setLevel(replay.level.metadata.name, null, levelCoins(replay.level));
     } else {
-      const wasBelow = previousRect.top >= rect.bottom - Math.abs(player.velocity.y) * 0.02;
-      if (wasBelow && currentRect.top <= rect.bottom) {
-        player.land(rect.bottom);
-        const updated = player.getBounds();
-        currentRect.x = updated.x;
-        currentRect.y = updated.y;
-        currentRect.width = updated.width;
-        currentRect.height = updated.height;
-      }
+      this.level.setTemplates(SEGMENT_LIBRARY, {}, { generator: this.generator });
+      this.hud.setLevel(null);
     }
+    this.startX = replay.startX;
+    this.attempt = 1;
+    this.mode = 'replay';
+    this.restartReplay();
   }
 
-  #checkEntityOverlap(playerRect, offset, entity) {
-    const rect = new Rectangle(
-      offset + entity.x,
-      entity.y,
-      entity.width,
-      entity.height
-    );
-    return playerRect.intersects(rect);
+  restartReplay() {
+    clearTimeout(this.resetTimer);
+    this.replayInput = new ScriptedInput(this.replay.events);
+    this.runScore.reset();
+    this.simulation.reset(this.replay.seed, this.replay.startX);
+    this.audio.seekMusic(this.#songTime());
+    this.hud.reset(this.attempt, this.simulation.seed);
+    this.lastTimestamp = performance.now();
+    this.accumulator = 0;
+    this.isRunning = true;
   }
 
-  #checkOrbCollision(playerRect, offset, entity) {
-    const circle = new Circle(offset + entity.x, entity.y, entity.radius);
-    return circle.intersectsRect(playerRect);
+  #leaveReplay() {
+    this.replay = null;
+    this.hud.replay = null;
+    this.hud.route = null;
+    this.replayInput = null;
   }
 
-  #checkSpikeCollision(playerRect, offset, entity) {
-    const rect = new Rectangle(
-      offset + entity.x,
-      entity.y,
-      entity.width,
-      entity.height
-    );
-    if (!playerRect.intersects(rect)) {
-      return false;
+  /**
+   * Lets the bot search for a way through the current level or endless seed
+   * from the current start position. The search runs a slice per frame (see
+   * `#advanceRouteSearch`) and its route is then played back as a replay.
+   */
+  findRoute() {
+    if (this.mode === 'play' && this.isRunning) {
+      this.#finishRun('abandoned');
     }
+    clearTimeout(this.resetTimer);
+    this.isRunning = false;
+    this.routeSearch = new RouteSearch({
+      templates: this.level.templates,
+      finite: this.level.finite,
+      generator: this.level.generator,
+      seed: this.simulation.seed,
+      startX: this.startX,
+    });
+    this.mode = 'search';
+  }
 
-    const relativeX = (playerRect.centerX - rect.left) / rect.width;
-    if (entity.orientation === 'up') {
-      const spikeY = rect.bottom - Math.abs(relativeX - 0.5) * rect.height * 2;
-      return playerRect.bottom >= spikeY;
+  #advanceRouteSearch() {
+    const deadline = performance.now() + ROUTE_SEARCH_FRAME_BUDGET;
+    let result = null;
+    while (!result && performance.now() < deadline) {
+      result = this.routeSearch.advance(2);
+    }
+    if (!result) {
+      return;
+    }
+    this.routeSearch = null;
+    this.playReplay(createReplay({
+      level: this.levelDefinition,
+      seed: result.seed,
+      startX: this.startX,
+      events: result.events,
+      // Endless routes stop after the searched time without dying.
+      outcome: result.outcome === 'timeout' ? 'abandoned' : result.outcome,
+      ticks: result.ticks,
+    }));
+    this.hud.route = result;
+    if (!result.solved) {
+      let where = '';
+      if (result.blockedGenerated) {
+        where = ` in the generated segment at x=${result.blockedGenerated.offset}`;
+      } else if (result.blockedSegment !== null) {
+        where = ` in segment ${result.blockedSegment + 1}`;
+      }
+      showNotice('No route found', [
+        `Every attempt died by x=${Math.round(result.blockedX)}${where}, at the latest to a ${result.cause ?? 'hazard'}.`,
+      ]);
     }
-    const spikeY = rect.top + Math.abs(relativeX - 0.5) * rect.height * 2;
-    return playerRect.top <= spikeY;
   }
 
-  draw(ctx, scale, scrollX, viewportWidth, viewportHeight) {
-    ctx.save();
-    ctx.fillStyle = '#182238';
-    const groundHeight = (viewportHeight - FLOOR_Y * scale);
-    ctx.fillRect(0, viewportHeight - groundHeight, viewportWidth, groundHeight);
-    ctx.restore();
-
-    const visibleStart = this.scrollX - this.recycleMargin;
-    const visibleEnd = this.scrollX + this.viewportWorldWidth + this.recycleMargin;
-
-    for (const segment of this.activeSegments) {
-      if (segment.end < visibleStart || segment.offset > visibleEnd) {
-        continue;
-      }
-      for (const entity of segment.entities) {
-        const screenX = (segment.offset + entity.x - scrollX) * scale;
-        switch (entity.type) {
-          case 'platform':
-            this.#drawPlatform(ctx, screenX, entity, scale);
-            break;
-          case 'spike':
-            this.#drawSpike(ctx, screenX, entity, scale);
-            break;
-          case 'booster':
-            this.#drawBooster(ctx, screenX, entity, scale);
-            break;
-          case 'orb':
-            this.#drawOrb(ctx, screenX, entity, scale);
-            break;
-          case 'portal':
-            this.#drawPortal(ctx, screenX, entity, scale);
-            break;
-          default:
-            break;
-        }
-      }
+  #finishRun(outcome) {
+    saveProfile(this.profile);
+    saveAnalytics(this.analyticsKey, this.analytics);
+    // Practice runs jump back to checkpoints, so their inputs do not form a
+    // single timeline that could be played back or raced.
+    if (this.practice) {
+      return;
     }
+    const completed = outcome === 'completed';
+    const score = this.runScore.breakdown({ distance: this.simulation.distance, completed, attempt: this.attempt });
+    if (this.startX === 0) {
+      this.profile.recordRun(this.#profileKey(), this.#profileName(), {
+        distance: this.simulation.distance,
+        progress: this.simulation.progress,
+        time: this.simulation.time,
+        completed,
+        score: score.total,
+        coins: this.runScore.coins,
+      });
+    }
+    if (completed) {
+      this.hud.showResults(score, this.startX === 0);
+    }
+    this.#recordGhost(outcome);
+    this.lastReplay = createReplay({
+      level: this.levelDefinition,
+      seed: this.simulation.seed,
+      startX: this.startX,
+      events: this.recorder.events,
+      outcome,
+      ticks: this.simulation.tick,
+    });
   }
 
-  #drawPlatform(ctx, screenX, entity, scale) {
-    const width = entity.width * scale;
-    const height = entity.height * scale;
-    const screenY = entity.y * scale;
-    ctx.fillStyle = '#2f3b52';
-    ctx.fillRect(screenX, screenY, width, height);
-    ctx.fillStyle = '#40516f';
-    ctx.fillRect(screenX, screenY, width, height / 4);
+  /**
+   * Picks the ghost to race for the run that was just reset. Ghosts belong to
+   * a level layout or endless seed and only make sense from the start.
+   */
+  #prepareGhost() {
+    this.ghostRecorder.reset();
+    this.ghostRecorder.sample(this.simulation);
+    const key = this.startX === 0 ? ghostKey(this.levelDefinition, this.simulation.seed) : null;
+    if (key !== this.ghostKey) {
+      this.ghostKey = key;
+      this.ghost = key ? loadGhost(key) : null;
+    }
   }
 
-  #drawSpike(ctx, screenX, entity, scale) {
-    const width = entity.width * scale;
-    const height = entity.height * scale;
-    const screenY = entity.y * scale;
-    ctx.fillStyle = '#d72638';
-    ctx.beginPath();
-    if (entity.orientation === 'up') {
-      ctx.moveTo(screenX, screenY + height);
-      ctx.lineTo(screenX + width / 2, screenY);
-      ctx.lineTo(screenX + width, screenY + height);
-    } else {
-      ctx.moveTo(screenX, screenY);
-      ctx.lineTo(screenX + width / 2, screenY + height);
-      ctx.lineTo(screenX + width, screenY);
-    }
-    ctx.closePath();
-    ctx.fill();
-  }
-
-  #drawBooster(ctx, screenX, entity, scale) {
-    const width = entity.width * scale;
-    const height = entity.height * scale;
-    const screenY = entity.y * scale;
-    const gradient = ctx.createLinearGradient(screenX, screenY, screenX, screenY + height);
-    gradient.addColorStop(0, 'rgba(72, 149, 239, 0.9)');
-    gradient.addColorStop(1, 'rgba(40, 84, 188, 0.6)');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(screenX, screenY, width, height);
-    ctx.strokeStyle = 'rgba(109, 196, 255, 0.8)';
-    ctx.lineWidth = Math.max(2, 4 * scale);
-    ctx.strokeRect(screenX, screenY, width, height);
-  }
-
-  #drawOrb(ctx, screenX, entity, scale) {
-    const radius = entity.radius * scale;
-    const screenY = entity.y * scale;
-    ctx.beginPath();
-    ctx.arc(screenX, screenY, radius, 0, Math.PI * 2);
-    const gradient = ctx.createRadialGradient(screenX, screenY, radius * 0.2, screenX, screenY, radius);
-    gradient.addColorStop(0, 'rgba(255, 221, 87, 1)');
-    gradient.addColorStop(1, 'rgba(255, 128, 0, 0.2)');
-    ctx.fillStyle = gradient;
-    ctx.fill();
-  }
-
-  #drawPortal(ctx, screenX, entity, scale) {
-    const width = entity.width * scale;
-    const height = entity.height * scale;
-    const screenY = entity.y * scale;
-    const gradient = ctx.createLinearGradient(screenX, screenY, screenX + width, screenY + height);
-    gradient.addColorStop(0, entity.properties.gravity === -1 ? '#9d4edd' : '#2d6a4f');
-    gradient.addColorStop(1, '#0b132b');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(screenX, screenY, width, height);
+  /**
+   * Switches the death history to the level being played; unlike ghosts it is
+   * kept per level rather than per endless seed.
+   */
+  #prepareAnalytics() {
+    const key = this.#profileKey();
+    if (key !== this.analyticsKey) {
+      if (this.analytics) {
+        saveAnalytics(this.analyticsKey, this.analytics);
+      }
+      this.analyticsKey = key;
+      this.analytics = loadAnalytics(key);
+    }
+    this.analytics.beginRun();
   }
-}
 
-class Hud {
-  constructor() {
-    this.distance = 0;
-    this.attempt = 1;
-    this.bestDistance = 0;
-    this.runTime = 0;
-    this.bestTime = 0;
+  #segmentLabel(index) {
+    if (index === 'generated') {
+      return 'Generated segments';
+    }
+    return this.levelDefinition ? this.levelDefinition.metadata.name : `Segment ${index + 1}`;
   }
 
-  reset(attempt) {
-    this.attempt = attempt;
-    this.distance = 0;
-    this.runTime = 0;
+  #recordGhost(outcome) {
+    if (!this.ghostKey) {
+      return;
+    }
+    const run = this.ghostRecorder.finish({
+      key: this.ghostKey,
+      label: this.levelDefinition?.metadata.name ?? `Endless seed ${this.simulation.seed}`,
+      seed: this.simulation.seed,
+      outcome,
+      ticks: this.simulation.tick,
+    });
+    if (!this.ghost || this.ghost.isBeatenBy(run)) {
+      this.ghost = run;
+      saveGhost(run);
+    }
   }
 
-  update(distance, dt) {
-    this.distance = distance;
-    this.runTime += dt;
-    if (distance > this.bestDistance) {
-      this.bestDistance = distance;
-      this.bestTime = this.runTime;
+  exportGhost() {
+    if (!this.ghost) {
+      showNotice('No ghost to export', ['Play this level or seed from the start to record one.']);
+      return;
+    }
+    downloadGhost(this.ghost);
+  }
+
+  /**
+   * Stores a teammate's ghost for the level or seed it was recorded on and
+   * starts racing it when that level is built in or the seed is endless.
+   */
+  importGhost(ghost) {
+    saveGhost(ghost);
+    const isCurrentLevel = this.levelDefinition !== null && ghost.key === ghostKey(this.levelDefinition, 0);
+    const builtIn = LEVEL_LIBRARY.find((definition) => ghostKey(definition, 0) === ghost.key);
+    const isEndless = ghost.key === ghostKey(null, ghost.seed);
+    if (!isCurrentLevel && !builtIn && !isEndless) {
+      showNotice('Ghost imported', [`Saved for "${ghost.label}". Load that level to race it.`]);
+      return;
+    }
+    if (this.mode === 'edit') {
+      this.editor.close();
+      this.mode = 'play';
+    }
+    this.ghost = ghost;
+    this.ghostKey = ghost.key;
+    this.practice = null;
+    this.hud.practice = null;
+    if (isCurrentLevel) {
+      this.loadLevel(this.levelDefinition);
+    } else if (builtIn) {
+      this.loadLevel(builtIn);
+    } else {
+      // Racing an endless ghost pins its seed, like opening `?seed=`.
+      this.fixedSeed = ghost.seed;
+      this.startEndless();
     }
   }
 
-  draw(ctx) {
-    ctx.save();
-    ctx.font = '16px "Segoe UI", sans-serif';
-    ctx.fillStyle = '#f8f9fa';
-    ctx.textBaseline = 'top';
-    const lines = [
-      `Attempt: ${this.attempt}`,
-      `Distance: ${Math.floor(this.distance).toLocaleString()}m`,
-      `Time: ${this.runTime.toFixed(1)}s`,
-      `Best: ${Math.floor(this.bestDistance).toLocaleString()}m in ${this.bestTime.toFixed(1)}s`,
-      'Controls: Space / Click to jump, hold for orbs, R to restart',
-    ];
-    lines.forEach((line, index) => {
-      ctx.fillText(line, 20, 20 + index * 20);
-    });
-    ctx.restore();
+  #profileKey() {
+    return this.levelDefinition ? ghostKey(this.levelDefinition, 0) : 'endless';
   }
-}
 
-class Game {
-  constructor(canvas, assets) {
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    this.assets = assets;
-    this.input = new InputManager(canvas);
-    this.player = new Player(assets);
-    this.level = new Level(SEGMENT_LIBRARY);
-    this.hud = new Hud();
-    this.parallaxLayers = [
-      new ParallaxLayer(assets.get('layer-stars'), 0.08, 0.7),
-      new ParallaxLayer(assets.get('layer-hills'), 0.18, 0.9),
-      new ParallaxLayer(assets.get('layer-foreground'), 0.3, 0.9),
-    ];
-    this.viewportWidth = window.innerWidth;
-    this.viewportHeight = window.innerHeight;
-    this.scale = 1;
-    this.lastTimestamp = 0;
-    this.animationFrame = 0;
-    this.isRunning = false;
-    this.attempt = 1;
+  #profileName() {
+    return this.levelDefinition?.metadata.name ?? 'Endless';
+  }
 
-    window.addEventListener('resize', () => this.resizeCanvas());
-    this.resizeCanvas();
-    this.reset();
+  importProfile(profile) {
+    if (!window.confirm('Replace your stats and bests with the imported profile?')) {
+      return;
+    }
+    this.profile = profile;
+    saveProfile(profile);
+    if (this.mode === 'play' || this.mode === 'complete') {
+      const bests = this.profile.levels[this.#profileKey()];
+      this.hud.setLevel(this.hud.levelName, bests, this.hud.levelCoins);
+    }
   }
 
-  resizeCanvas() {
-    const ratio = window.devicePixelRatio || 1;
-    this.viewportWidth = window.innerWidth;
-    this.viewportHeight = window.innerHeight;
-    if (this.canvas.width !== this.viewportWidth * ratio || this.canvas.height !== this.viewportHeight * ratio) {
-      this.canvas.width = this.viewportWidth * ratio;
-      this.canvas.height = this.viewportHeight * ratio;
-      this.canvas.style.width = `${this.viewportWidth}px`;
-      this.canvas.style.height = `${this.viewportHeight}px`;
+  saveReplay() {
+    if (!this.lastReplay) {
+      showNotice('No replay to save', ['Finish, restart or leave a run first. Practice runs are not recorded.']);
+      return;
+    }
+    downloadReplay(this.lastReplay);
+  }
+
+  reportLevelError(error) {
+    if (error instanceof ReplayValidationError) {
+      showNotice('Could not load replay', error.errors);
+    } else if (error instanceof GhostValidationError) {
+      showNotice('Could not load ghost', error.errors);
+    } else if (error instanceof ProfileValidationError) {
+      showNotice('Could not load profile', error.errors);
+    } else if (error instanceof LevelValidationError) {
+      showNotice('Could not load level', error.errors);
+    } else {
+      showNotice('Could not load level', [error.message]);
     }
-    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-    this.ctx.scale(ratio, ratio);
-    this.scale = this.viewportHeight / WORLD_HEIGHT;
-    this.level.setViewport(this.viewportWidth / this.scale);
   }
 
-  reset() {
-    this.level.reset();
-    this.player.reset();
-    this.player.position.x = this.player.anchorX;
-    this.player.position.y = FLOOR_Y - this.player.halfSize;
-    this.hud.reset(this.attempt);
-    this.lastTimestamp = performance.now();
-    this.isRunning = true;
+  exportLevel() {
+    if (this.mode === 'edit') {
+      downloadLevel(this.editor.definition);
+      return;
+    }
+    downloadLevel(this.levelDefinition ?? templatesToLevel(SEGMENT_LIBRARY, { name: 'Endless segments' }));
   }
 
   start() {
@@ -952,53 +1282,193 @@ class Game {
   }
 
   update(timestamp) {
-    const deltaTime = Math.min(MAX_DELTA_TIME, (timestamp - this.lastTimestamp) / 1000 || 0);
+    const frameTime = Math.min(MAX_FRAME_TIME, (timestamp - this.lastTimestamp) / 1000 || 0);
     this.lastTimestamp = timestamp;
+    if (this.mode === 'search') {
+      this.#advanceRouteSearch();
+    }
+    this.debug.recordFrame(frameTime, this.#advance(frameTime));
+    this.#prepareNextSegment();
+    this.audio.setMusicPlaying(MUSIC_MODES.has(this.mode));
+    if (this.isRunning && !this.debug.isPaused && this.debug.timeScale === 1) {
+      this.audio.syncMusic(this.#songTime());
+    }
+  }
 
-    if (!this.isRunning) {
+  /**
+   * Builds the next generated endless segment a slice per frame, so it is
+   * ready before the level needs it.
+   */
+  #prepareNextSegment() {
+    const { generator } = this.level;
+    if (!generator || !this.isRunning) {
       return;
     }
+    const deadline = performance.now() + GENERATOR_FRAME_BUDGET;
+    const offset = this.level.nextSegmentOffset;
+    let ready = false;
+    while (!ready && performance.now() < deadline) {
+      ready = generator.prepare(offset, 2);
+    }
+  }
+
+  /**
+   * Runs the simulation ticks due for this frame and returns how many ran.
+   */
+  #advance(frameTime) {
+    if ((this.mode !== 'play' && this.mode !== 'replay') || !this.isRunning) {
+      return 0;
+    }
 
-    if (this.input.consumeRestartRequest()) {
+    if (this.input.consumeRestartRequest() && this.mode === 'play') {
+      this.#finishRun('abandoned');
       this.attempt += 1;
       this.reset();
-      return;
+      return 0;
     }
 
-    this.player.update(deltaTime, this.input);
-    this.player.position.x = this.level.scrollX + this.player.anchorX;
-    this.level.update(deltaTime, this.player);
-    this.level.resolvePlayer(this.player, this.input, deltaTime);
-    this.player.postResolve();
+    if (this.debug.isPaused) {
+      this.accumulator = 0;
+      if (!this.debug.consumeStep()) {
+        return 0;
+      }
+      this.step(TICK_DURATION);
+      return 1;
+    }
 
-    const distance = this.level.scrollX / 10;
-    this.hud.update(distance, deltaTime);
+    // The simulation always advances in whole ticks so jump arcs and orb
+    // timings are identical regardless of the display refresh rate. Slow
+    // motion only feeds the accumulator less real time per frame.
+    let ticks = 0;
+    this.accumulator += frameTime * this.debug.timeScale;
+    while (this.isRunning && this.accumulator >= TICK_DURATION) {
+      this.step(TICK_DURATION);
+      this.accumulator -= TICK_DURATION;
+      ticks += 1;
+    }
+    return ticks;
+  }
+
+  step(dt) {
+    const input = this.mode === 'replay' ? this.replayInput : this.recorder;
+    input.advanceTo(this.simulation.tick);
+    this.simulation.step(input, dt);
+    this.audio.playEvents(this.simulation.events);
+    this.runScore.recordTick(this.simulation.events);
+    this.hud.update(this.simulation.distance, dt, this.simulation.progress, this.startX === 0);
+    if (this.mode === 'play') {
+      this.profile.recordTick(this.simulation.events, dt);
+      this.analytics.recordTick(this.simulation);
+      this.ghostRecorder.sample(this.simulation);
+      this.hud.ghostLead = this.ghost?.leadAt(this.simulation.tick, this.player.position.x) ?? null;
+    }
 
-    if (!this.player.isAlive) {
+    if (this.mode === 'replay') {
+      if (this.simulation.isComplete || !this.player.isAlive || this.simulation.tick >= this.replay.ticks) {
+        this.isRunning = false;
+      }
+    } else if (this.simulation.isComplete) {
+      this.#finishRun('completed');
+      this.isRunning = false;
+      this.mode = 'complete';
+    } else if (!this.player.isAlive) {
+      this.#finishRun('died');
       this.attempt += 1;
       this.isRunning = false;
-      setTimeout(() => this.reset(), 600);
+      this.resetTimer = setTimeout(() => (this.practice ? this.respawn() : this.reset()), 600);
+    } else {
+      this.practice?.update(this.simulation);
     }
-
-    this.input.finalizeFrame();
   }
 
   render() {
     const ctx = this.ctx;
+    if (this.mode === 'edit') {
+      ctx.save();
+      ctx.clearRect(0, 0, this.viewportWidth, this.viewportHeight);
+      this.editor.render(ctx, this.viewportWidth, this.viewportHeight);
+      ctx.restore();
+      return;
+    }
+    const alpha = this.isRunning && !this.debug.isPaused ? this.accumulator / TICK_DURATION : 1;
+    const scrollX = this.level.getInterpolatedScroll(alpha);
     ctx.save();
     ctx.clearRect(0, 0, this.viewportWidth, this.viewportHeight);
 
-    ctx.fillStyle = '#050c1a';
+    ctx.fillStyle = this.level.colors.background;
     ctx.fillRect(0, 0, this.viewportWidth, this.viewportHeight);
 
+    // Mirror portals only flip what is drawn; the simulation is unchanged and
+    // the HUD stays readable.
+    ctx.save();
+    if (this.player.mirrored) {
+      ctx.translate(this.viewportWidth, 0);
+      ctx.scale(-1, 1);
+    }
     for (const layer of this.parallaxLayers) {
-      layer.draw(ctx, this.level.scrollX, this.scale, this.viewportWidth, this.viewportHeight);
+      layer.draw(ctx, scrollX, this.scale, this.viewportWidth, this.viewportHeight, this.level.colors.layers);
     }
 
-    this.level.draw(ctx, this.scale, this.level.scrollX, this.viewportWidth, this.viewportHeight);
-    this.player.draw(ctx, this.assets, this.scale, this.level.scrollX);
-    this.hud.draw(ctx);
+    if (this.showBeats && this.timing) {
+      drawBeatLines(ctx, this.timing, {
+        cameraX: scrollX,
+        scale: this.scale,
+        viewportWidth: this.viewportWidth,
+        viewportHeight: this.viewportHeight,
+      });
+    }
+    this.level.draw(ctx, this.scale, scrollX, this.viewportWidth, this.viewportHeight);
+    const showAnalytics = this.showAnalytics && (this.mode === 'play' || this.mode === 'complete');
+    if (showAnalytics) {
+      this.analytics.drawHeatmap(ctx, this.level, this.scale, scrollX, this.viewportWidth);
+    }
+    if (this.practice) {
+      this.#drawCheckpoints(ctx, scrollX);
+    }
+    if (this.ghost && (this.mode === 'play' || this.mode === 'complete')) {
+      this.ghost.draw(ctx, this.level.colors, this.scale, scrollX, this.simulation.tick - 1 + alpha);
+    }
+    this.player.draw(ctx, this.level.colors, this.scale, scrollX, alpha);
+    this.debug.drawWorld(ctx, this.level, this.player, this.scale, scrollX, this.viewportWidth, this.viewportHeight);
+    ctx.restore();
+    if (this.mode === 'menu') {
+      this.menu.draw(ctx, this.viewportWidth, this.viewportHeight);
+    } else if (this.mode === 'stats') {
+      this.statsScreen.draw(ctx, this.viewportWidth, this.viewportHeight, this.profile);
+    } else if (this.mode === 'complete') {
+      this.hud.drawCompletion(ctx, this.viewportWidth, this.viewportHeight);
+    } else if (this.mode === 'search') {
+      this.hud.drawRouteSearch(ctx, this.viewportWidth, this.viewportHeight, this.routeSearch.progress);
+    } else {
+      this.hud.draw(ctx, this.viewportWidth);
+    }
+    this.debug.drawHud(ctx, this.level, this.simulation, this.viewportWidth, this.viewportHeight);
+    if (showAnalytics) {
+      this.analyticsTable.draw(ctx, this.viewportWidth, this.analytics.segmentTable(), (index) => this.#segmentLabel(index));
+    }
+
+    ctx.restore();
+  }
 
+  #drawCheckpoints(ctx, scrollX) {
+    const size = 14 * this.scale;
+    ctx.save();
+    ctx.fillStyle = '#7bd88f';
+    ctx.strokeStyle = '#1b1f3b';
+    ctx.lineWidth = 2;
+    for (const checkpoint of this.practice.checkpoints) {
+      const { x, y } = checkpoint.player.position;
+      const screenX = (x - scrollX) * this.scale;
+      const screenY = y * this.scale;
+      ctx.beginPath();
+      ctx.moveTo(screenX, screenY - size);
+      ctx.lineTo(screenX + size, screenY);
+      ctx.lineTo(screenX, screenY + size);
+      ctx.lineTo(screenX - size, screenY);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
     ctx.restore();
   }
 }
@@ -1007,7 +1477,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   const canvas = document.getElementById('gameCanvas');
   const assets = new AssetManager(ASSET_DEFINITIONS);
   await assets.loadAll();
-  const game = new Game(canvas, assets);
+  const seedParam = new URLSearchParams(window.location.search).get('seed');
+  const game = new Game(canvas, assets, {
+    seed: seedParam ? normalizeSeed(seedParam) : null,
+  });
   game.start();
 });
 
@@ -0,0 +1,21 @@
+import { Profile, parseProfile, serializeProfile } from './core/profile.js';
+import { saveToStorage } from './storage.js';
+
+const STORAGE_KEY = 'my-own-geometry-dash:profile';
+
+/**
+ * Reads the saved profile, starting a fresh one when nothing is stored or the
+ * stored copy can no longer be read.
+ */
+export function loadProfile() {
+  try {
+    const text = localStorage.getItem(STORAGE_KEY);
+    return text ? parseProfile(text) : new Profile();
+  } catch {
+    return new Profile();
+  }
+}
+
+export function saveProfile(profile) {
+  saveToStorage(() => localStorage.setItem(STORAGE_KEY, serializeProfile(profile)));
+}
@@ -0,0 +1,12 @@
+/**
+ * Runs `write`, which saves something to localStorage, without letting a
+ * failed save stop the game.
+ */
+export function saveToStorage(write) {
+  try {
+    write();
+  } catch {
+    // Storage is full or disabled (e.g. private browsing); what was being
+    // saved then only lasts for this session.
+  }
+}